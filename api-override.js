@@ -0,0 +1,18 @@
+// Development: ?api=http://localhost:8787/exec points this tab at the local mock server (?api= resets).
+// Only localhost is accepted so a crafted link can't send answers or admin logins elsewhere.
+// Loaded by every page before its own script, which falls back to CONFIG.API_URL when this is null.
+const API_URL_OVERRIDE = (() => {
+  try {
+    const param = new URLSearchParams(window.location.search).get('api');
+    if (param !== null) {
+      if (/^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?\//.test(param)) {
+        sessionStorage.setItem('apiUrlOverride', param);
+      } else {
+        sessionStorage.removeItem('apiUrlOverride');
+      }
+    }
+    return sessionStorage.getItem('apiUrlOverride');
+  } catch (error) {
+    return null;
+  }
+})();
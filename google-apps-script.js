@@ -3,6 +3,131 @@
 // Updated: 2025 - Simplified evaluation system
 // วิธีใช้: แทนที่โค้ดทั้งหมดใน Google Apps Script Editor
 
+// =============================================================================
+// ⚙️ CONSTANTS - ค่าคงที่
+// =============================================================================
+
+const COURSE_WEEKS = 8;
+const DEFAULT_COURSE_ID = 'power-supply';
+const INSTRUCTORS_HEADERS = ['ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'ผู้สอน1', 'ผู้สอน2', 'หลักสูตร', 'รหัสผู้สอน1', 'รหัสผู้สอน2', 'จำนวนผู้เรียน'];
+const COURSES_HEADERS = ['รหัสหลักสูตร', 'ชื่อหลักสูตร', 'เปิดใช้งาน', 'จำนวนสัปดาห์'];
+const REFERENCE_HEADERS = ['ประเภท', 'ค่า', 'ลำดับ', 'หลักสูตร', 'เปิดใช้งาน'];
+const REFERENCE_TYPES = ['center', 'day', 'period'];
+// Seed for the reference sheet (the values the forms used to hard-code)
+const DEFAULT_REFERENCE = {
+  center: ['ลาดกระบัง', 'บางพลัด', 'ระยอง', 'ศรีราชา'],
+  day: ['เสาร์', 'อาทิตย์'],
+  period: ['เช้า', 'บ่าย']
+};
+const QUESTION_TYPES = ['scale', 'yesno', 'choice', 'text'];
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+const MAX_INSTRUCTOR_NAME_LENGTH = 100;
+const REGISTRY_HEADERS = ['รหัสผู้สอน', 'ชื่อที่แสดง', 'ชื่ออื่น', 'อีเมล', 'เปิดใช้งาน'];
+const INSTRUCTOR_ID_PREFIX = 'INS-';
+// Only used to suggest matches for unmatched names, never to link automatically
+const INSTRUCTOR_TITLE_PATTERN = /^(อาจารย์|อ\.|ดร\.|ผศ\.|รศ\.|ศ\.)\s*/;
+const IMPORT_MODES = ['replace', 'merge'];
+const MAX_IMPORT_SLOTS = 2000;
+// Slots answered by fewer than this share of their enrolled students still need reminders
+const RESPONSE_RATE_TARGET = 0.7;
+const EVALUATION_BASE_HEADERS = ['Timestamp', 'ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'ผู้สอน1', 'ผู้สอน2', 'หลักสูตร', 'รหัสผู้สอน1', 'รหัสผู้สอน2'];
+const IDEMPOTENCY_HEADER = 'IdempotencyKey';
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+const SUBMISSION_ID_HEADER = 'SubmissionId';
+// One row per (submission, instructor), followed by one column per scale question
+const INSTRUCTOR_RATINGS_HEADERS = [SUBMISSION_ID_HEADER, 'ลำดับผู้สอน', 'ผู้สอน', 'รหัสผู้สอน'];
+const INSTRUCTOR_POSITIONS = ['1', '2'];
+// Moderation of the free-text answers, one set per evaluation row
+const MODERATION_HEADERS = ['สถานะความคิดเห็น', 'ธงความคิดเห็น', 'ความรู้สึก', 'ความคิดเห็นที่ปิดบัง'];
+const COMMENT_STATUS = { PENDING: 'pending', APPROVED: 'approved', REDACTED: 'redacted', HIDDEN: 'hidden' };
+const MAX_MODERATION_BATCH = 500;
+const QUESTIONS_HEADERS = ['รหัสคำถาม', 'คำถาม', 'หัวคอลัมน์', 'ประเภท', 'บังคับตอบ', 'ตัวเลือก', 'ไอคอน'];
+
+// Seed for the questions sheet (matches the original five criteria + comment)
+const DEFAULT_QUESTIONS = [
+  { id: 'clarity', label: 'ความชัดเจนในการอธิบาย', column: 'ความชัดเจน', type: 'scale', required: true, options: [], icon: 'fa-brain' },
+  { id: 'preparation', label: 'การเตรียมอุปกรณ์การสอน', column: 'การเตรียม', type: 'scale', required: true, options: [], icon: 'fa-tools' },
+  { id: 'interaction', label: 'การตอบคำถามและแลกเปลี่ยนประสบการณ์', column: 'ปฏิสัมพันธ์', type: 'scale', required: true, options: [], icon: 'fa-users' },
+  { id: 'punctuality', label: 'การตรงต่อเวลาและบริหารเวลา', column: 'ตรงต่อเวลา', type: 'scale', required: true, options: [], icon: 'fa-clock' },
+  { id: 'satisfaction', label: 'ความพึงพอใจโดยรวม', column: 'พึงพอใจ', type: 'scale', required: true, options: [], icon: 'fa-battery-full' },
+  { id: 'comment', label: 'ข้อเสนอแนะเพิ่มเติม', column: 'ข้อเสนอแนะ', type: 'text', required: false, options: [], icon: 'fa-lightbulb' }
+];
+const TOKEN_STATUS = { ISSUED: 'issued', CONSUMED: 'consumed' };
+const TOKENS_HEADERS = ['Token', 'รหัสนักเรียน', 'ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'สถานะ', 'ออกเมื่อ', 'ใช้เมื่อ', 'หลักสูตร'];
+const RECIPIENTS_HEADERS = ['ประเภท', 'ชื่อ', 'อีเมล', 'ศูนย์', 'หลักสูตร', 'เปิดใช้งาน'];
+const RECIPIENT_TYPES = { COORDINATOR: 'coordinator', INSTRUCTOR: 'instructor', ADMIN: 'admin' };
+const SUMMARY_TRIGGER_HANDLER = 'sendWeeklySummaries';
+const SUMMARY_LOOKBACK_DAYS = 7;
+const SUMMARY_COMMENT_LIMIT = 30;
+const ALERT_RULE_TYPES = ['low-rating', 'slot-average', 'week-drop'];
+const ALERT_RULES_HEADERS = ['รหัสกฎ', 'ประเภท', 'เกณฑ์', 'จำนวนขั้นต่ำ', 'เปิดใช้งาน'];
+const ALERTS_HEADERS = ['เวลา', 'รหัสกฎ', 'ประเภท', 'หลักสูตร', 'ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'ผู้สอน', 'ค่า', 'รายละเอียด', 'สถานะ', 'AlertKey'];
+const ALERT_STATUS = { OPEN: 'open', ACKNOWLEDGED: 'acknowledged' };
+const META_HEADERS = ['คีย์', 'ค่า'];
+const AUDIT_HEADERS = ['เวลา', 'การดำเนินการ', 'ผู้ดำเนินการ', 'สิทธิ์', 'แผ่นงาน', 'แถว', 'ก่อน', 'หลัง', 'รายละเอียด'];
+// A cell holds at most 50,000 characters; larger snapshots keep their leading rows
+const MAX_AUDIT_SNAPSHOT_LENGTH = 45000;
+const MAX_AUDIT_LOG_LIMIT = 1000;
+const TERMS_HEADERS = ['รหัสภาคเรียน', 'ชื่อภาคเรียน', 'สถานะ', 'ปิดเมื่อ', 'ปิดโดย', 'จำนวนแบบประเมิน', 'จำนวนช่วงการสอน', 'คืนค่าเมื่อ'];
+const TERM_STATUS = { ARCHIVED: 'archived', RESTORED: 'restored' };
+// Archive sheets are named <sheet>_<term>, so IDs stay short and safe in a sheet name
+const TERM_ID_PATTERN = /^[0-9A-Za-z][0-9A-Za-z_-]{0,29}$/;
+// Sheets that belong to a term (tokens included, so duplicate protection starts over);
+// the registry, questionnaire and settings carry over
+const TERM_SHEETS = ['evaluation', 'instructorRatings', 'evaluationTokens', 'instructors'];
+const BACKUP_FORMAT = 'evaluation-system-backup';
+// The audit sheet survives a restore, so the restore itself stays on record
+const BACKUP_KEPT_SHEETS = ['audit'];
+// Checked when a backup has the current schema version; older ones are migrated after restoring
+const BACKUP_REQUIRED_HEADERS = {
+  instructors: INSTRUCTORS_HEADERS,
+  evaluation: EVALUATION_BASE_HEADERS,
+  courses: COURSES_HEADERS,
+  reference: REFERENCE_HEADERS,
+  instructorsRegistry: REGISTRY_HEADERS,
+  questions: QUESTIONS_HEADERS,
+  evaluationTokens: TOKENS_HEADERS,
+  instructorRatings: INSTRUCTOR_RATINGS_HEADERS,
+  meta: META_HEADERS,
+  terms: TERMS_HEADERS
+};
+// Bump together with a new entry in MIGRATIONS
+const SCHEMA_VERSION = 11;
+
+// Roles are ordered: an editor can do everything a viewer can
+const ROLE_LEVELS = { viewer: 1, editor: 2 };
+const SESSION_TTL_HOURS = 12;
+// Failed logins per username before it is locked out; the count expires this long after the last one
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_MINUTES = 15;
+
+// Actions not listed here are public (student form, health)
+const ACTION_ROLES = {
+  getInstructorReport: 'viewer',
+  getEvaluationSummary: 'viewer',
+  getResponseRates: 'viewer',
+  exportEvaluations: 'viewer',
+  getAlerts: 'viewer',
+  getInstructorRegistry: 'viewer',
+  getTerms: 'viewer',
+  getAuditLog: 'editor',
+  closeTerm: 'editor',
+  restoreTerm: 'editor',
+  backup: 'editor',
+  restore: 'editor',
+  saveRegistryInstructor: 'editor',
+  deleteRegistryInstructor: 'editor',
+  matchInstructorNames: 'editor',
+  acknowledgeAlert: 'editor',
+  getModerationQueue: 'editor',
+  moderateComments: 'editor',
+  updateInstructors: 'editor',
+  upsertSlot: 'editor',
+  deleteSlot: 'editor',
+  importSchedule: 'editor',
+  issueTokens: 'editor'
+};
+
 // =============================================================================
 // 📋 MAIN HANDLERS - จัดการ HTTP Requests
 // =============================================================================
@@ -10,20 +135,23 @@
 function doGet(e) {
   try {
     console.log('=== doGet called ===');
-    console.log('Parameters:', e ? e.parameter : 'No event object');
+    console.log('Parameters:', e ? maskCredentials(e.parameter) : 'No event object');
     
     // Check if e and e.parameter exist
     if (!e || !e.parameter) {
       console.log('No parameters provided, returning default response');
       return createSuccessResponse({
         message: 'GET request received successfully',
-        availableActions: ['health', 'getInstructors'],
+        availableActions: ['health', 'getInstructors', 'getInstructorReport', 'getEvaluationSummary', 'getResponseRates', 'getForm', 'getCourses', 'exportEvaluations', 'getAlerts', 'getInstructorRegistry', 'getReference', 'getModerationQueue', 'getAuditLog', 'getTerms', 'backup'],
         timestamp: new Date().toISOString(),
         version: '2.0.1',
         note: 'No parameters provided'
       });
     }
     
+    // Admin actions need a credential with a sufficient role
+    const identity = authorizeRequest(e.parameter.action, e.parameter);
+    
     // Health check endpoint
     if (e.parameter.action === 'health') {
       return createHealthResponse();
@@ -31,20 +159,85 @@ function doGet(e) {
     
     // Get instructors data
     if (e.parameter.action === 'getInstructors') {
-      return getInstructors();
+      return getInstructors(e.parameter.course);
+    }
+    
+    // Course list for the course picker
+    if (e.parameter.action === 'getCourses') {
+      return getCourses();
+    }
+    
+    // Centers, days, periods and week count for the dropdowns
+    if (e.parameter.action === 'getReference') {
+      return getReference(e.parameter.course);
+    }
+    
+    // Questionnaire schema for the student form
+    if (e.parameter.action === 'getForm') {
+      return getForm();
+    }
+    
+    // Per-instructor score report
+    if (e.parameter.action === 'getInstructorReport') {
+      return getInstructorReport(e.parameter);
+    }
+    
+    // Aggregated results for the admin dashboard
+    if (e.parameter.action === 'getEvaluationSummary') {
+      return getEvaluationSummary(e.parameter);
+    }
+    
+    // Responses per slot against enrolled students
+    if (e.parameter.action === 'getResponseRates') {
+      return getResponseRates(e.parameter);
+    }
+    
+    // Filtered CSV/JSON download
+    if (e.parameter.action === 'exportEvaluations') {
+      return exportEvaluationsData(e.parameter);
+    }
+    
+    // Low-score alerts for the admin panel
+    if (e.parameter.action === 'getAlerts') {
+      return getAlerts(e.parameter);
+    }
+    
+    // Instructor master registry
+    if (e.parameter.action === 'getInstructorRegistry') {
+      return getInstructorRegistry();
+    }
+    
+    // Comments waiting for review (editors only: the text is unredacted)
+    if (e.parameter.action === 'getModerationQueue') {
+      return getModerationQueue(e.parameter);
+    }
+    
+    // Who changed what (editors only: snapshots hold unmoderated comments)
+    if (e.parameter.action === 'getAuditLog') {
+      return getAuditLog(e.parameter);
+    }
+    
+    // Archived terms for the report and export pickers
+    if (e.parameter.action === 'getTerms') {
+      return getTerms();
+    }
+    
+    // Full snapshot of every sheet
+    if (e.parameter.action === 'backup') {
+      return createBackup(identity);
     }
     
     // Default response for GET requests
     return createSuccessResponse({
       message: 'GET request received successfully',
-      availableActions: ['health', 'getInstructors'],
+      availableActions: ['health', 'getInstructors', 'getInstructorReport', 'getEvaluationSummary', 'getResponseRates', 'getForm', 'getCourses', 'exportEvaluations', 'getAlerts', 'getInstructorRegistry', 'getReference', 'getModerationQueue', 'getAuditLog', 'getTerms', 'backup'],
       timestamp: new Date().toISOString(),
       version: '2.0.1'
     });
     
   } catch (error) {
     console.error('Error in doGet:', error);
-    return createErrorResponse('GET request failed: ' + error.toString());
+    return createErrorResponse('GET request failed: ' + error.toString(), error.code);
   }
 }
 
@@ -63,7 +256,7 @@ function doPost(e) {
     let requestData;
     try {
       requestData = JSON.parse(e.postData.contents);
-      console.log('Parsed request data:', requestData);
+      console.log('Parsed request data:', maskCredentials(requestData));
     } catch (parseError) {
       console.error('JSON parse error:', parseError);
       throw new Error('Invalid JSON format: ' + parseError.message);
@@ -74,20 +267,102 @@ function doPost(e) {
       throw new Error('Missing required field: action');
     }
     
+    // Admin actions need a credential with a sufficient role; writes are credited to it in the audit log
+    const identity = authorizeRequest(requestData.action, requestData);
+    auditActor = identity || { username: 'anonymous', role: 'public' };
+    
     // Route to appropriate handler
     let result;
     switch (requestData.action) {
       case 'health':
         result = createHealthResponse();
         break;
+      case 'login':
+        result = login(requestData);
+        break;
       case 'submitEvaluation':
         result = submitEvaluation(requestData);
         break;
       case 'updateInstructors':
-        result = updateInstructors(requestData.instructorsMap || requestData.data);
+        result = updateInstructors(requestData.instructorsMap || requestData.data, requestData.course, requestData.version);
+        break;
+      case 'upsertSlot':
+        result = upsertSlot(requestData);
+        break;
+      case 'deleteSlot':
+        result = deleteSlot(requestData);
+        break;
+      case 'importSchedule':
+        result = importSchedule(requestData);
         break;
       case 'getInstructors':
-        result = getInstructors();
+        result = getInstructors(requestData.course);
+        break;
+      case 'getCourses':
+        result = getCourses();
+        break;
+      case 'getReference':
+        result = getReference(requestData.course);
+        break;
+      case 'getForm':
+        result = getForm();
+        break;
+      case 'getInstructorReport':
+        result = getInstructorReport(requestData);
+        break;
+      case 'getEvaluationSummary':
+        result = getEvaluationSummary(requestData);
+        break;
+      case 'getResponseRates':
+        result = getResponseRates(requestData);
+        break;
+      case 'exportEvaluations':
+        result = exportEvaluationsData(requestData);
+        break;
+      case 'getAlerts':
+        result = getAlerts(requestData);
+        break;
+      case 'acknowledgeAlert':
+        result = acknowledgeAlert(requestData);
+        break;
+      case 'getModerationQueue':
+        result = getModerationQueue(requestData);
+        break;
+      case 'moderateComments':
+        result = moderateComments(requestData);
+        break;
+      case 'getAuditLog':
+        result = getAuditLog(requestData);
+        break;
+      case 'getTerms':
+        result = getTerms();
+        break;
+      case 'closeTerm':
+        result = closeTerm(requestData);
+        break;
+      case 'restoreTerm':
+        result = restoreTerm(requestData);
+        break;
+      case 'backup':
+        result = createBackup(identity);
+        break;
+      case 'restore':
+        result = restoreBackup(requestData);
+        break;
+      case 'getInstructorRegistry':
+        result = getInstructorRegistry();
+        break;
+      case 'saveRegistryInstructor':
+        result = saveRegistryInstructor(requestData);
+        break;
+      case 'deleteRegistryInstructor':
+        result = deleteRegistryInstructor(requestData);
+        break;
+      case 'matchInstructorNames':
+        result = matchInstructorNames(requestData);
+        break;
+      case 'issueTokens':
+        result = issueEvaluationTokens(requestData);
         break;
       default:
         throw new Error('Unknown action: ' + requestData.action);
@@ -100,7 +375,9 @@ function doPost(e) {
     console.error('=== doPost ERROR ===');
     console.error('Error:', error);
     console.error('Stack:', error.stack);
-    return createErrorResponse('POST request failed: ' + error.toString());
+    return createErrorResponse('POST request failed: ' + error.toString(), error.code);
+  } finally {
+    auditActor = null;
   }
 }
 
@@ -108,54 +385,28 @@ function doPost(e) {
 // 📊 DATA HANDLERS - จัดการข้อมูล
 // =============================================================================
 
-function getInstructors() {
+function getInstructors(course) {
   try {
     console.log('Getting instructors data...');
     
     const spreadsheet = SpreadsheetApp.getActive();
-    let instructorsSheet = spreadsheet.getSheetByName('instructors');
-    
-    // Create sheet if doesn't exist
-    if (!instructorsSheet) {
-      console.log('Creating instructors sheet...');
-      instructorsSheet = createInstructorsSheet(spreadsheet);
-    }
+    const courseId = resolveCourseId(spreadsheet, course);
     
-    // Get data from sheet
-    const data = instructorsSheet.getDataRange().getValues();
-    console.log('Raw data rows:', data.length);
+    // Get rows for the requested course only
+    const rows = readInstructorRows(spreadsheet).filter(row => row.course === courseId);
+    console.log('Course rows:', courseId, rows.length);
     
     // Process data into structured format
-    const result = {};
-    
-    if (data.length > 1) { // Skip header row
-      for (let i = 1; i < data.length; i++) {
-        const [center, week, day, period, instructor1, instructor2] = data[i];
-        
-        // Skip empty rows
-        if (!center || !week || !day || !period) {
-          console.log('Skipping empty row:', i);
-          continue;
-        }
-        
-        // Build nested structure
-        if (!result[center]) result[center] = {};
-        if (!result[center][week]) result[center][week] = {};
-        if (!result[center][week][day]) result[center][week][day] = {};
-        
-        result[center][week][day][period] = {
-          instructor1: instructor1 || '',
-          instructor2: instructor2 || ''
-        };
-      }
-    }
+    const result = buildInstructorsMap(rows);
     
     console.log('Processed centers:', Object.keys(result).length);
     
     return createSuccessResponse({
       data: result,
+      course: courseId,
+      version: computeScheduleVersion(rows),
       message: 'Instructors data retrieved successfully',
-      recordCount: data.length - 1
+      recordCount: rows.length
     });
     
   } catch (error) {
@@ -182,60 +433,154 @@ function submitEvaluation(evaluationData) {
       throw new Error('At least one instructor must be specified');
     }
     
-    // Validate ratings
-    const ratingFields = ['clarity', 'preparation', 'interaction', 'punctuality', 'satisfaction'];
-    for (const field of ratingFields) {
-      const rating = parseInt(evaluationData[field]);
-      if (isNaN(rating) || rating < 1 || rating > 5) {
-        throw new Error(`Invalid rating for ${field}: must be 1-5`);
-      }
+    // Validate student identity (used for duplicate protection)
+    if (!evaluationData.token && !evaluationData.studentId) {
+      throw createAppError('MISSING_IDENTITY', 'Either token or studentId must be provided');
     }
     
+    // Client-generated key so retried (queued) submissions are recorded once
+    const idempotencyKey = String(evaluationData.idempotencyKey || '').trim();
+    if (idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      throw new Error(`idempotencyKey must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+    }
     
     const spreadsheet = SpreadsheetApp.getActive();
+    const courseId = resolveCourseId(spreadsheet, evaluationData.course);
+    evaluationData.course = courseId;
+    
+    // Validate answers against the questionnaire schema; with separate rating blocks the
+    // ratings live only in instructorRatings and the slot-level scale cells stay blank
+    const questions = getQuestionSchema(spreadsheet);
+    const instructorRatings = validateInstructorRatings(questions, evaluationData);
+    const answers = instructorRatings
+      ? Object.assign(validateAnswers(questions.filter(question => question.type !== 'scale'), evaluationData),
+        ...questions.filter(question => question.type === 'scale').map(question => ({ [question.id]: '' })))
+      : validateAnswers(questions, evaluationData);
+    
     let evaluationSheet = spreadsheet.getSheetByName('evaluation');
     
     // Create sheet if doesn't exist
     if (!evaluationSheet) {
       console.log('Creating evaluation sheet...');
-      evaluationSheet = createEvaluationSheet(spreadsheet);
+      evaluationSheet = createEvaluationSheet(spreadsheet, questions);
     }
     
-    // Prepare data row
+    // Map values to columns by header name; new questions get new columns
+    const headerMap = ensureColumns(evaluationSheet,
+      EVALUATION_BASE_HEADERS.concat(questions.map(question => question.column), [IDEMPOTENCY_HEADER, SUBMISSION_ID_HEADER], MODERATION_HEADERS));
+    
+    // Names are kept as submitted; the registry IDs tie them to one person. The form is public,
+    // so IDs sent with it are ignored: they come from the scheduled slot or the registry by name.
+    const instructorIds = attachInstructorIds(buildRegistryIndex(readInstructorRegistry(spreadsheet)), {
+      instructor1: evaluationData.instructor1,
+      instructor2: evaluationData.instructor2
+    }, scheduledInstructorIds(spreadsheet, courseId, evaluationData));
+    
+    const submissionId = Utilities.getUuid();
+    const ratingRows = buildInstructorRatingRows(questions, submissionId, evaluationData, instructorIds,
+      instructorRatings || { '1': answers, '2': answers });
+    
     const now = new Date();
-    const timestamp = Utilities.formatDate(now, 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss');
-    
-    const rowData = [
-      timestamp,                                    // A: Timestamp
-      evaluationData.center || '',                 // B: ศูนย์
-      evaluationData.week || '',                   // C: สัปดาห์
-      evaluationData.day || '',                    // D: วัน
-      evaluationData.period || '',                 // E: ช่วงเวลา
-      evaluationData.instructor1 || '',            // F: ผู้สอน1
-      evaluationData.instructor2 || '',            // G: ผู้สอน2
-      parseInt(evaluationData.clarity) || 0,       // H: ความชัดเจน
-      parseInt(evaluationData.preparation) || 0,   // I: การเตรียม
-      parseInt(evaluationData.interaction) || 0,   // J: ปฏิสัมพันธ์
-      parseInt(evaluationData.punctuality) || 0,   // K: ตรงต่อเวลา
-      parseInt(evaluationData.satisfaction) || 0,  // L: พึงพอใจ
-      evaluationData.comment || ''                 // M: ข้อเสนอแนะ
-    ];
+    const values = {
+      'Timestamp': Utilities.formatDate(now, 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss'),
+      'ศูนย์': evaluationData.center || '',
+      'สัปดาห์': evaluationData.week || '',
+      'วัน': evaluationData.day || '',
+      'ช่วงเวลา': evaluationData.period || '',
+      'ผู้สอน1': evaluationData.instructor1 || '',
+      'ผู้สอน2': evaluationData.instructor2 || '',
+      'หลักสูตร': courseId,
+      'รหัสผู้สอน1': instructorIds.instructor1Id,
+      'รหัสผู้สอน2': instructorIds.instructor2Id,
+      [IDEMPOTENCY_HEADER]: idempotencyKey,
+      [SUBMISSION_ID_HEADER]: submissionId
+    };
+    questions.forEach(question => {
+      values[question.column] = answers[question.id];
+    });
+    
+    // Free text is screened now and stays out of reports until an admin reviews it
+    const comment = joinTextAnswers(questions, answers);
+    if (comment) {
+      const screening = analyzeComment(comment);
+      values['สถานะความคิดเห็น'] = COMMENT_STATUS.PENDING;
+      values['ธงความคิดเห็น'] = screening.flags.join(',');
+      values['ความรู้สึก'] = screening.sentiment;
+    }
+    const rowData = buildRow(headerMap, values);
     
     console.log('Adding row data:', rowData);
     
-    // Add row to sheet
-    evaluationSheet.appendRow(rowData);
-    const lastRow = evaluationSheet.getLastRow();
+    // Dry runs validate the full request without touching the sheets
+    if (evaluationData.dryRun) {
+      return createSuccessResponse({
+        message: 'ตรวจสอบข้อมูลแบบประเมินสำเร็จ (ไม่ได้บันทึก)',
+        dryRun: true,
+        rowData: rowData,
+        ratingRows: ratingRows
+      });
+    }
+    
+    // Serialize the duplicate check and the write
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    let lastRow;
+    let existingRow = null;
+    try {
+      // A replayed submission is acknowledged before the duplicate check would reject it
+      if (idempotencyKey) {
+        existingRow = findIdempotentRow(evaluationSheet, headerMap[IDEMPOTENCY_HEADER], idempotencyKey);
+      }
+      
+      if (!existingRow) {
+        consumeEvaluationToken(spreadsheet, evaluationData);
+        
+        // Add row to sheet
+        evaluationSheet.appendRow(rowData);
+        lastRow = evaluationSheet.getLastRow();
+        appendInstructorRatingRows(spreadsheet, ratingRows);
+        appendAuditEntry(spreadsheet, {
+          action: 'submitEvaluation',
+          sheet: 'evaluation',
+          rows: [lastRow],
+          after: values
+        });
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    
+    if (existingRow) {
+      console.log('Idempotent replay, already recorded at row:', existingRow);
+      return createSuccessResponse({
+        message: 'บันทึกการประเมินนี้ไว้แล้ว',
+        rowNumber: existingRow,
+        alreadyRecorded: true
+      });
+    }
     
     // Format the new row
-    formatEvaluationRow(evaluationSheet, lastRow, rowData.length);
+    const scaleColumns = questions
+      .filter(question => question.type === 'scale')
+      .map(question => headerMap[question.column]);
+    formatEvaluationRow(evaluationSheet, lastRow, rowData.length, scaleColumns);
     
     console.log('Successfully submitted evaluation to row:', lastRow);
     
+    // Alerting must never make a recorded submission look failed
+    try {
+      checkAlertsForSubmission(spreadsheet, lastRow);
+    } catch (alertError) {
+      console.error('Alert check failed:', alertError);
+    }
+    
     return createSuccessResponse({
       message: 'บันทึกการประเมินสำเร็จ',
       rowNumber: lastRow,
+      submissionId: submissionId,
       submittedData: {
+        course: courseId,
         center: evaluationData.center,
         week: evaluationData.week,
         day: evaluationData.day,
@@ -247,72 +592,3973 @@ function submitEvaluation(evaluationData) {
     
   } catch (error) {
     console.error('Error in submitEvaluation:', error);
-    return createErrorResponse('Failed to submit evaluation: ' + error.toString());
+    return createErrorResponse('Failed to submit evaluation: ' + error.toString(), error.code);
   }
 }
 
-function updateInstructors(instructorsMap) {
+function findIdempotentRow(evaluationSheet, column, idempotencyKey) {
+  const lastRow = evaluationSheet.getLastRow();
+  if (lastRow < 2) return null;
+  
+  const keys = evaluationSheet.getRange(2, column, lastRow - 1, 1).getValues();
+  const index = keys.findIndex(([key]) => key === idempotencyKey);
+  return index === -1 ? null : index + 2;
+}
+
+// Per-instructor rating blocks ({ instructor1: {...}, instructor2: {...} }) for co-taught slots;
+// returns ratings keyed by position, or null when the student rated the slot as a whole
+function validateInstructorRatings(questions, evaluationData) {
+  const blocks = evaluationData.instructorRatings;
+  if (!blocks) return null;
+  if (typeof blocks !== 'object' || Array.isArray(blocks)) {
+    throw new Error('instructorRatings must be an object keyed by instructor1/instructor2');
+  }
+  
+  const scaleQuestions = questions.filter(question => question.type === 'scale');
+  const ratings = {};
+  INSTRUCTOR_POSITIONS.forEach(position => {
+    const field = 'instructor' + position;
+    if (!evaluationData[field]) {
+      if (blocks[field]) {
+        throw new Error(`instructorRatings.${field} was sent but the slot has no ${field}`);
+      }
+      return;
+    }
+    if (!blocks[field] || typeof blocks[field] !== 'object') {
+      throw new Error(`Missing instructorRatings.${field}`);
+    }
+    ratings[position] = validateAnswers(scaleQuestions, blocks[field]);
+  });
+  return ratings;
+}
+
+// ratingsByPosition holds each instructor's answers (the shared answers for both when not rated separately)
+function buildInstructorRatingRows(questions, submissionId, evaluationData, instructorIds, ratingsByPosition) {
+  const scaleQuestions = questions.filter(question => question.type === 'scale');
+  return INSTRUCTOR_POSITIONS
+    .filter(position => evaluationData['instructor' + position])
+    .map(position => {
+      const values = {
+        [SUBMISSION_ID_HEADER]: submissionId,
+        'ลำดับผู้สอน': Number(position),
+        'ผู้สอน': evaluationData['instructor' + position],
+        'รหัสผู้สอน': instructorIds['instructor' + position + 'Id']
+      };
+      scaleQuestions.forEach(question => {
+        values[question.column] = ratingsByPosition[position][question.id];
+      });
+      return values;
+    });
+}
+
+// Caller must hold the script lock
+function appendInstructorRatingRows(spreadsheet, ratingRows) {
+  if (ratingRows.length === 0) return;
+  
+  const ratingsSheet = getInstructorRatingsSheet(spreadsheet);
+  const headers = INSTRUCTOR_RATINGS_HEADERS.concat(
+    Object.keys(ratingRows[0]).filter(header => !INSTRUCTOR_RATINGS_HEADERS.includes(header)));
+  const columns = ensureColumns(ratingsSheet, headers);
+  const rows = ratingRows.map(values => buildRow(columns, values));
+  ratingsSheet.getRange(ratingsSheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+}
+
+function getInstructorRatingsSheet(spreadsheet) {
+  return spreadsheet.getSheetByName('instructorRatings') || createInstructorRatingsSheet(spreadsheet);
+}
+
+function updateInstructors(instructorsMap, course, version) {
   try {
     console.log('=== Updating instructors ===');
     
     if (!instructorsMap || typeof instructorsMap !== 'object') {
       throw new Error('Invalid instructorsMap provided');
     }
+    // Without the version a stale or truncated map would silently wipe the course schedule
+    if (!version) {
+      throw createAppError('CONFLICT', 'Missing schedule version; reload and try again');
+    }
     
     const spreadsheet = SpreadsheetApp.getActive();
+    const courseId = resolveCourseId(spreadsheet, course);
     let instructorsSheet = spreadsheet.getSheetByName('instructors');
     
     if (!instructorsSheet) {
       instructorsSheet = createInstructorsSheet(spreadsheet);
     }
     
-    // Clear existing data (keep headers)
-    const lastRow = instructorsSheet.getLastRow();
-    if (lastRow > 1) {
-      instructorsSheet.deleteRows(2, lastRow - 1);
+    const registryIndex = buildRegistryIndex(readInstructorRegistry(spreadsheet));
+    const newRows = flattenInstructorsMap(instructorsMap, courseId)
+      .map(row => attachInstructorIds(registryIndex, row, row));
+    console.log('Data to write:', newRows.length, 'rows for course', courseId);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      const allRows = readInstructorRows(spreadsheet);
+      const courseRows = allRows.filter(row => row.course === courseId);
+      
+      // Full replacement must be based on the latest schedule
+      if (version !== computeScheduleVersion(courseRows)) {
+        throw createAppError('CONFLICT', 'Schedule was changed by someone else; reload and try again');
+      }
+      
+      carryEnrolledCounts(newRows, courseRows);
+      
+      // Other courses' schedules are kept as they are
+      const keptRows = allRows.filter(row => row.course !== courseId);
+      writeInstructorRows(instructorsSheet, keptRows.concat(newRows));
+      appendAuditEntry(spreadsheet, {
+        action: 'updateInstructors',
+        sheet: 'instructors',
+        rows: newRows.map((row, index) => keptRows.length + 2 + index),
+        before: courseRows,
+        after: newRows,
+        details: { course: courseId }
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Successfully updated instructors sheet');
+    
+    return createSuccessResponse({
+      message: 'อัปเดตข้อมูลผู้สอนสำเร็จ',
+      course: courseId,
+      rowsUpdated: newRows.length
+    });
+    
+  } catch (error) {
+    console.error('Error in updateInstructors:', error);
+    return createErrorResponse('Failed to update instructors: ' + error.toString(), error.code);
+  }
+}
+
+// With a term, reads that term's archived schedule instead of the current one
+function readInstructorRows(spreadsheet, term) {
+  const instructorsSheet = term
+    ? getTermSheet(spreadsheet, 'instructors', term)
+    : spreadsheet.getSheetByName('instructors') || createInstructorsSheet(spreadsheet);
+  if (!instructorsSheet) return [];
+  
+  const data = instructorsSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const rows = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    const center = value('ศูนย์');
+    const week = value('สัปดาห์');
+    const day = value('วัน');
+    const period = value('ช่วงเวลา');
+    const enrolled = Number(value('จำนวนผู้เรียน'));
+    
+    // Skip empty rows
+    if (!center || !week || !day || !period) {
+      continue;
+    }
+    
+    rows.push({
+      row: i + 1,
+      center: String(center),
+      week: String(week),
+      day: String(day),
+      period: String(period),
+      instructor1: String(value('ผู้สอน1') || ''),
+      instructor2: String(value('ผู้สอน2') || ''),
+      // Rows from before multi-course support belong to the default course
+      course: String(value('หลักสูตร') || DEFAULT_COURSE_ID),
+      instructor1Id: String(value('รหัสผู้สอน1') || ''),
+      instructor2Id: String(value('รหัสผู้สอน2') || ''),
+      // Blank (or unreadable) means attendance has not been recorded for the slot
+      enrolled: value('จำนวนผู้เรียน') !== '' && Number.isInteger(enrolled) && enrolled >= 0 ? enrolled : null
+    });
+  }
+  
+  return rows;
+}
+
+function writeInstructorRows(instructorsSheet, rows) {
+  const columns = ensureColumns(instructorsSheet, INSTRUCTORS_HEADERS);
+  
+  // Clear existing data (keep headers)
+  const lastRow = instructorsSheet.getLastRow();
+  if (lastRow > 1) {
+    instructorsSheet.deleteRows(2, lastRow - 1);
+  }
+  
+  if (rows.length === 0) return;
+  
+  const dataToWrite = rows.map(row => buildRow(columns, {
+    'ศูนย์': row.center,
+    'สัปดาห์': row.week,
+    'วัน': row.day,
+    'ช่วงเวลา': row.period,
+    'ผู้สอน1': row.instructor1 || '',
+    'ผู้สอน2': row.instructor2 || '',
+    'หลักสูตร': row.course,
+    'รหัสผู้สอน1': row.instructor1Id || '',
+    'รหัสผู้สอน2': row.instructor2Id || '',
+    'จำนวนผู้เรียน': row.enrolled === null || row.enrolled === undefined ? '' : row.enrolled
+  }));
+  
+  instructorsSheet.getRange(2, 1, dataToWrite.length, dataToWrite[0].length).setValues(dataToWrite);
+  
+  // Format data
+  formatInstructorsSheet(instructorsSheet, dataToWrite.length);
+}
+
+function buildInstructorsMap(rows) {
+  const result = {};
+  
+  rows.forEach(row => {
+    const { center, week, day, period, instructor1, instructor2, instructor1Id, instructor2Id, enrolled } = row;
+    // Build nested structure
+    if (!result[center]) result[center] = {};
+    if (!result[center][week]) result[center][week] = {};
+    if (!result[center][week][day]) result[center][week][day] = {};
+    
+    result[center][week][day][period] = {
+      instructor1: instructor1 || '',
+      instructor2: instructor2 || '',
+      instructor1Id: instructor1Id || '',
+      instructor2Id: instructor2Id || '',
+      enrolled: enrolled === undefined ? null : enrolled,
+      version: computeSlotVersion(row)
+    };
+  });
+  
+  return result;
+}
+
+function flattenInstructorsMap(instructorsMap, courseId) {
+  const rows = [];
+  
+  Object.entries(instructorsMap).forEach(([center, weeksObj]) => {
+    Object.entries(weeksObj).forEach(([week, daysObj]) => {
+      Object.entries(daysObj).forEach(([day, periodsObj]) => {
+        Object.entries(periodsObj).forEach(([period, instructors]) => {
+          rows.push({
+            center: center,
+            week: String(week),
+            day: day,
+            period: period,
+            instructor1: instructors.instructor1 || '',
+            instructor2: instructors.instructor2 || '',
+            instructor1Id: instructors.instructor1Id || '',
+            instructor2Id: instructors.instructor2Id || '',
+            enrolled: parseEnrolledCount(instructors.enrolled),
+            course: courseId
+          });
+        });
+      });
+    });
+  });
+  
+  return rows;
+}
+
+// Blank clears the count; undefined (not sent) leaves the recorded count alone
+function parseEnrolledCount(value) {
+  if (value === undefined) return undefined;
+  if (value === null || String(value).trim() === '') return null;
+  
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid enrolled count: ${value}`);
+  }
+  return count;
+}
+
+// Rows written without an enrolled count keep the one recorded for the same slot
+function carryEnrolledCounts(rows, previousRows) {
+  const slotKey = slot => [slot.center, slot.week, slot.day, slot.period].join('|');
+  const recorded = {};
+  previousRows.forEach(row => { recorded[slotKey(row)] = row.enrolled; });
+  
+  rows.forEach(row => {
+    if (row.enrolled === undefined) {
+      row.enrolled = recorded[slotKey(row)] === undefined ? null : recorded[slotKey(row)];
+    }
+  });
+  return rows;
+}
+
+// =============================================================================
+// ✏️ SCHEDULE EDITING - แก้ไขตารางสอนรายช่วง
+// =============================================================================
+
+function upsertSlot(request) {
+  try {
+    console.log('=== Upserting slot ===');
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const slot = parseSlotRequest(spreadsheet, request);
+    
+    if (!request.instructor1 && !request.instructor2) {
+      throw new Error('At least one instructor is required');
+    }
+    slot.instructor1 = String(request.instructor1 || '').trim();
+    slot.instructor2 = String(request.instructor2 || '').trim();
+    attachInstructorIds(buildRegistryIndex(readInstructorRegistry(spreadsheet)), slot, request);
+    slot.enrolled = parseEnrolledCount(request.enrolled);
+    
+    const instructorsSheet = spreadsheet.getSheetByName('instructors') || createInstructorsSheet(spreadsheet);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    let created;
+    try {
+      const existing = findSlotRow(spreadsheet, slot);
+      assertSlotVersion(existing, request.version);
+      carryEnrolledCounts([slot], existing ? [existing] : []);
+      
+      const columns = ensureColumns(instructorsSheet, INSTRUCTORS_HEADERS);
+      const rowData = buildRow(columns, {
+        'ศูนย์': slot.center,
+        'สัปดาห์': slot.week,
+        'วัน': slot.day,
+        'ช่วงเวลา': slot.period,
+        'ผู้สอน1': slot.instructor1,
+        'ผู้สอน2': slot.instructor2,
+        'หลักสูตร': slot.course,
+        'รหัสผู้สอน1': slot.instructor1Id,
+        'รหัสผู้สอน2': slot.instructor2Id,
+        'จำนวนผู้เรียน': slot.enrolled === null ? '' : slot.enrolled
+      });
+      
+      created = !existing;
+      if (existing) {
+        instructorsSheet.getRange(existing.row, 1, 1, rowData.length).setValues([rowData]);
+      } else {
+        instructorsSheet.appendRow(rowData);
+      }
+      appendAuditEntry(spreadsheet, {
+        action: 'upsertSlot',
+        sheet: 'instructors',
+        rows: [existing ? existing.row : instructorsSheet.getLastRow()],
+        before: existing,
+        after: slot
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log(created ? 'Slot created' : 'Slot updated', slot);
+    
+    return createSuccessResponse({
+      message: created ? 'เพิ่มช่วงการสอนสำเร็จ' : 'แก้ไขช่วงการสอนสำเร็จ',
+      created: created,
+      slot: slot,
+      version: computeSlotVersion(slot)
+    });
+    
+  } catch (error) {
+    console.error('Error in upsertSlot:', error);
+    return createErrorResponse('Failed to save slot: ' + error.toString(), error.code);
+  }
+}
+
+function deleteSlot(request) {
+  try {
+    console.log('=== Deleting slot ===');
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const slot = parseSlotRequest(spreadsheet, request);
+    const instructorsSheet = spreadsheet.getSheetByName('instructors') || createInstructorsSheet(spreadsheet);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      const existing = findSlotRow(spreadsheet, slot);
+      if (!existing) {
+        throw createAppError('CONFLICT', 'Slot no longer exists; reload and try again');
+      }
+      assertSlotVersion(existing, request.version);
+      
+      instructorsSheet.deleteRow(existing.row);
+      appendAuditEntry(spreadsheet, {
+        action: 'deleteSlot',
+        sheet: 'instructors',
+        rows: [existing.row],
+        before: existing
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Slot deleted', slot);
+    
+    return createSuccessResponse({
+      message: 'ลบช่วงการสอนสำเร็จ',
+      slot: slot
+    });
+    
+  } catch (error) {
+    console.error('Error in deleteSlot:', error);
+    return createErrorResponse('Failed to delete slot: ' + error.toString(), error.code);
+  }
+}
+
+// Bulk import: 'replace' swaps the course schedule for the given slots, 'merge' upserts them
+function importSchedule(request) {
+  try {
+    console.log('=== Importing schedule ===');
+    
+    const mode = String(request.mode || '');
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error('Invalid mode: must be replace or merge');
     }
+    if (!Array.isArray(request.slots) || request.slots.length === 0) {
+      throw new Error('No slots to import');
+    }
+    if (request.slots.length > MAX_IMPORT_SLOTS) {
+      throw new Error(`Too many slots: maximum is ${MAX_IMPORT_SLOTS}`);
+    }
+    // Replace removes every slot the file leaves out, so it must be based on the current schedule
+    if (mode === 'replace' && !request.version) {
+      throw createAppError('CONFLICT', 'Missing schedule version; reload and try again');
+    }
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const courseId = resolveCourseId(spreadsheet, request.course);
+    const registryIndex = buildRegistryIndex(readInstructorRegistry(spreadsheet));
+    const slots = request.slots.map(slot => attachInstructorIds(registryIndex, {
+      center: String(slot.center || '').trim(),
+      week: String(slot.week || '').trim(),
+      day: String(slot.day || '').trim(),
+      period: String(slot.period || '').trim(),
+      instructor1: String(slot.instructor1 || '').trim(),
+      instructor2: String(slot.instructor2 || '').trim(),
+      enrolled: parseEnrolledCount(slot.enrolled),
+      course: courseId
+    }, slot));
+    
+    const instructorsSheet = spreadsheet.getSheetByName('instructors') || createInstructorsSheet(spreadsheet);
     
-    // Prepare data for writing
-    const dataToWrite = [];
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    let counts;
+    let newVersion;
+    try {
+      const allRows = readInstructorRows(spreadsheet);
+      const courseRows = allRows.filter(row => row.course === courseId);
+      
+      // The preview was built against this version of the schedule
+      if (request.version && request.version !== computeScheduleVersion(courseRows)) {
+        throw createAppError('CONFLICT', 'Schedule was changed by someone else; reload and try again');
+      }
+      
+      // Files without an enrolled column keep the counts already recorded
+      carryEnrolledCounts(slots, courseRows);
+      
+      const slotKey = slot => [slot.center, slot.week, slot.day, slot.period].join('|');
+      const existing = {};
+      courseRows.forEach(row => { existing[slotKey(row)] = row; });
+      const imported = {};
+      slots.forEach(slot => { imported[slotKey(slot)] = slot; });
+      
+      // Merge keeps slots the file does not mention
+      const keptCourseRows = mode === 'merge' ? courseRows.filter(row => !imported[slotKey(row)]) : [];
+      const errors = validateImportSlots(slots, keptCourseRows);
+      if (errors.length > 0) {
+        throw createAppError('INVALID_IMPORT', errors.slice(0, 10).join('; ') +
+          (errors.length > 10 ? ` (and ${errors.length - 10} more)` : ''));
+      }
+      
+      counts = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+      slots.forEach(slot => {
+        const before = existing[slotKey(slot)];
+        if (!before) counts.added++;
+        else if (computeSlotVersion(before) === computeSlotVersion(slot)) counts.unchanged++;
+        else counts.updated++;
+      });
+      if (mode === 'replace') {
+        counts.removed = courseRows.filter(row => !imported[slotKey(row)]).length;
+      }
+      
+      const newCourseRows = keptCourseRows.concat(slots);
+      newVersion = computeScheduleVersion(newCourseRows);
+      
+      if (!request.dryRun) {
+        const otherRows = allRows.filter(row => row.course !== courseId);
+        writeInstructorRows(instructorsSheet, otherRows.concat(newCourseRows));
+        appendAuditEntry(spreadsheet, {
+          action: 'importSchedule',
+          sheet: 'instructors',
+          rows: newCourseRows.map((row, index) => otherRows.length + 2 + index),
+          before: courseRows,
+          after: newCourseRows,
+          details: { course: courseId, mode: mode, counts: counts }
+        });
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Import result:', mode, courseId, counts, request.dryRun ? '(dry run)' : '');
+    
+    return createSuccessResponse({
+      message: request.dryRun ? 'ตรวจสอบข้อมูลนำเข้าสำเร็จ (ยังไม่บันทึก)' : 'นำเข้าตารางสอนสำเร็จ',
+      course: courseId,
+      mode: mode,
+      dryRun: Boolean(request.dryRun),
+      counts: counts,
+      version: newVersion
+    });
+    
+  } catch (error) {
+    console.error('Error in importSchedule:', error);
+    return createErrorResponse('Failed to import schedule: ' + error.toString(), error.code);
+  }
+}
+
+// Returns one message per problem; keptRows are existing slots that stay alongside the import
+function validateImportSlots(slots, keptRows) {
+  const errors = [];
+  const seen = {};
+  const bookings = {};
+  const book = (name, slot, label) => {
+    if (!name) return;
+    const key = [name, slot.week, slot.day, slot.period].join('|');
+    const other = bookings[key];
+    if (other && other.center !== slot.center) {
+      errors.push(`${label}: ${name} is already teaching at ${other.center} in the same week/day/period`);
+    } else if (!other) {
+      bookings[key] = slot;
+    }
+  };
+  
+  keptRows.forEach(row => {
+    book(row.instructor1, row, 'existing');
+    book(row.instructor2, row, 'existing');
+  });
+  
+  slots.forEach((slot, index) => {
+    const label = `Slot ${index + 1}`;
+    if (!slot.center || !slot.week || !slot.day || !slot.period) {
+      errors.push(`${label}: center, week, day and period are required`);
+      return;
+    }
+    if (!/^[1-9]\d*$/.test(slot.week)) {
+      errors.push(`${label}: invalid week ${slot.week}`);
+    }
+    if (!slot.instructor1) {
+      errors.push(`${label}: instructor1 is required`);
+    }
+    if (slot.instructor1 && slot.instructor1 === slot.instructor2) {
+      errors.push(`${label}: instructor1 and instructor2 are the same`);
+    }
+    if (slot.instructor1.length > MAX_INSTRUCTOR_NAME_LENGTH || slot.instructor2.length > MAX_INSTRUCTOR_NAME_LENGTH) {
+      errors.push(`${label}: instructor name is longer than ${MAX_INSTRUCTOR_NAME_LENGTH} characters`);
+    }
+    
+    const key = [slot.center, slot.week, slot.day, slot.period].join('|');
+    if (seen[key]) {
+      errors.push(`${label}: duplicate of slot ${seen[key]}`);
+      return;
+    }
+    seen[key] = index + 1;
+    
+    book(slot.instructor1, slot, label);
+    book(slot.instructor2, slot, label);
+  });
+  
+  return errors;
+}
+
+function parseSlotRequest(spreadsheet, request) {
+  if (!request.center || !request.week || !request.day || !request.period) {
+    throw new Error('Missing required fields: center, week, day, period');
+  }
+  
+  return {
+    course: resolveCourseId(spreadsheet, request.course),
+    center: String(request.center).trim(),
+    week: String(request.week).trim(),
+    day: String(request.day).trim(),
+    period: String(request.period).trim()
+  };
+}
+
+function findSlotRow(spreadsheet, slot) {
+  return readInstructorRows(spreadsheet).find(row =>
+    row.course === slot.course && row.center === slot.center && row.week === slot.week &&
+    row.day === slot.day && row.period === slot.period
+  ) || null;
+}
+
+// A new slot must be written without a version; an existing one with its current version
+function assertSlotVersion(existing, version) {
+  if (!existing) {
+    if (version) {
+      throw createAppError('CONFLICT', 'Slot was deleted by someone else; reload and try again');
+    }
+    return;
+  }
+  
+  if (version !== computeSlotVersion(existing)) {
+    throw createAppError('CONFLICT', 'Slot was changed by someone else; reload and try again');
+  }
+}
+
+function computeSlotVersion(slot) {
+  const fields = [
+    slot.course, slot.center, slot.week, slot.day, slot.period, slot.instructor1 || '', slot.instructor2 || ''
+  ];
+  // Slots without an enrolled count keep the versions they had before the column existed
+  if (slot.enrolled !== null && slot.enrolled !== undefined) {
+    fields.push(slot.enrolled);
+  }
+  return hashString(fields.join('|'));
+}
+
+function computeScheduleVersion(rows) {
+  return hashString(rows.map(computeSlotVersion).sort().join(','));
+}
+
+function hashString(value) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, value, Utilities.Charset.UTF_8);
+  return bytesToHex(bytes).slice(0, 16);
+}
+
+function bytesToHex(bytes) {
+  return bytes.map(byte => ('0' + (byte & 0xff).toString(16)).slice(-2)).join('');
+}
+
+// =============================================================================
+// 📚 COURSES - หลักสูตร
+// =============================================================================
+
+function getCourses() {
+  try {
+    console.log('Getting courses...');
+    const courses = readCourses(SpreadsheetApp.getActive()).filter(course => course.active);
+    
+    return createSuccessResponse({
+      data: courses,
+      defaultCourse: DEFAULT_COURSE_ID,
+      message: 'Courses retrieved successfully',
+      recordCount: courses.length
+    });
+    
+  } catch (error) {
+    console.error('Error in getCourses:', error);
+    return createErrorResponse('Failed to get courses: ' + error.toString());
+  }
+}
+
+function readCourses(spreadsheet) {
+  const coursesSheet = spreadsheet.getSheetByName('courses') || createCoursesSheet(spreadsheet);
+  const data = coursesSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const courses = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    const id = value('รหัสหลักสูตร');
+    if (!id) continue;
+    
+    const active = value('เปิดใช้งาน');
+    courses.push({
+      id: String(id).trim(),
+      name: String(value('ชื่อหลักสูตร') || id),
+      active: active === '' || parseBoolean(active),
+      weeks: parseInt(value('จำนวนสัปดาห์')) || COURSE_WEEKS
+    });
+  }
+  
+  return courses;
+}
+
+function resolveCourseId(spreadsheet, course) {
+  // Missing course means the default course (pre multi-course clients)
+  if (!course) return DEFAULT_COURSE_ID;
+  
+  const courseId = String(course).trim();
+  const known = readCourses(spreadsheet).some(item => item.id === courseId);
+  if (!known) {
+    throw createAppError('UNKNOWN_COURSE', `Unknown course: ${courseId}`);
+  }
+  return courseId;
+}
+
+// =============================================================================
+// 🗺️ REFERENCE DATA - ศูนย์ วัน ช่วงเวลา และจำนวนสัปดาห์
+// =============================================================================
+
+function getReference(course) {
+  try {
+    const spreadsheet = SpreadsheetApp.getActive();
+    const courseId = resolveCourseId(spreadsheet, course);
+    
+    return createSuccessResponse({
+      data: readReference(spreadsheet, courseId),
+      course: courseId,
+      message: 'Reference data retrieved successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error in getReference:', error);
+    return createErrorResponse('Failed to get reference data: ' + error.toString(), error.code);
+  }
+}
+
+// Rows with an empty course apply to every course; inactive rows are left out
+function readReference(spreadsheet, courseId) {
+  const referenceSheet = spreadsheet.getSheetByName('reference') || createReferenceSheet(spreadsheet);
+  const data = referenceSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const items = { center: [], day: [], period: [] };
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : String(data[i][columns[header]]).trim());
+    const type = value('ประเภท').toLowerCase();
+    const itemValue = value('ค่า');
+    const active = value('เปิดใช้งาน');
+    const course = value('หลักสูตร');
+    
+    if (!itemValue || (active !== '' && !parseBoolean(active))) continue;
+    if (course && course !== courseId) continue;
+    if (!REFERENCE_TYPES.includes(type)) {
+      console.warn(`Skipping reference row ${i + 1}: unknown type ${type}`);
+      continue;
+    }
+    
+    const order = parseFloat(value('ลำดับ'));
+    items[type].push({ value: itemValue, order: isNaN(order) ? Infinity : order, row: i });
+  }
+  
+  const ordered = type => items[type]
+    .sort((a, b) => (a.order - b.order) || (a.row - b.row))
+    .map(item => item.value)
+    .filter((item, index, list) => list.indexOf(item) === index);
+  const weekCount = getCourseWeekCount(spreadsheet, courseId);
+  
+  return {
+    centers: ordered('center'),
+    days: ordered('day'),
+    periods: ordered('period'),
+    weekCount: weekCount,
+    weeks: Array.from({ length: weekCount }, (_, index) => String(index + 1))
+  };
+}
+
+function getCourseWeekCount(spreadsheet, courseId) {
+  const course = readCourses(spreadsheet).find(item => item.id === courseId);
+  return course ? course.weeks : COURSE_WEEKS;
+}
+
+// =============================================================================
+// 🪪 INSTRUCTOR REGISTRY - ทะเบียนผู้สอน
+// =============================================================================
+
+function getInstructorRegistry() {
+  try {
+    const entries = readInstructorRegistry(SpreadsheetApp.getActive());
+    
+    return createSuccessResponse({
+      data: entries.map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        aliases: entry.aliases,
+        email: entry.email,
+        active: entry.active
+      })),
+      recordCount: entries.length
+    });
+    
+  } catch (error) {
+    console.error('Error in getInstructorRegistry:', error);
+    return createErrorResponse('Failed to get instructor registry: ' + error.toString(), error.code);
+  }
+}
+
+// Creates an entry when no id is sent; renaming also updates the names shown in the schedule
+function saveRegistryInstructor(request) {
+  try {
+    console.log('=== Saving registry instructor ===');
+    
+    const name = String(request.name || '').trim();
+    if (!name) {
+      throw new Error('Missing required field: name');
+    }
+    const aliases = (Array.isArray(request.aliases) ? request.aliases : String(request.aliases || '').split(','))
+      .map(alias => String(alias).trim())
+      .filter(alias => alias && alias !== name);
+    if ([name].concat(aliases).some(value => value.length > MAX_INSTRUCTOR_NAME_LENGTH)) {
+      throw new Error(`Names must be at most ${MAX_INSTRUCTOR_NAME_LENGTH} characters`);
+    }
+    const email = String(request.email || '').trim();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('Invalid email: ' + email);
+    }
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const registrySheet = getRegistrySheet(spreadsheet);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    let entry;
+    let renamedSlots = 0;
+    try {
+      const entries = readInstructorRegistry(spreadsheet);
+      const existing = request.id ? entries.find(item => item.id === String(request.id)) : null;
+      if (request.id && !existing) {
+        throw createAppError('NOT_FOUND', `Instructor not found: ${request.id}`);
+      }
+      
+      // A name or alias may only point at one person
+      const taken = buildRegistryIndex(entries.filter(item => item !== existing)).byName;
+      const clash = [name].concat(aliases).find(value => taken[normalizeInstructorName(value)]);
+      if (clash) {
+        throw createAppError('DUPLICATE', `Name already registered to ${taken[normalizeInstructorName(clash)].id}: ${clash}`);
+      }
+      
+      entry = {
+        id: existing ? existing.id : nextInstructorId(entries),
+        name: name,
+        aliases: aliases,
+        email: email,
+        active: request.active === undefined ? true : parseBoolean(request.active)
+      };
+      
+      const columns = ensureColumns(registrySheet, REGISTRY_HEADERS);
+      const rowData = buildRow(columns, {
+        'รหัสผู้สอน': entry.id,
+        'ชื่อที่แสดง': entry.name,
+        'ชื่ออื่น': entry.aliases.join(', '),
+        'อีเมล': entry.email,
+        'เปิดใช้งาน': entry.active
+      });
+      if (existing) {
+        registrySheet.getRange(existing.row, 1, 1, rowData.length).setValues([rowData]);
+      } else {
+        registrySheet.appendRow(rowData);
+      }
+      
+      if (existing && existing.name !== entry.name) {
+        renamedSlots = renameScheduledInstructor(spreadsheet, entry);
+      }
+      appendAuditEntry(spreadsheet, {
+        action: 'saveRegistryInstructor',
+        sheet: registrySheet.getName(),
+        rows: [existing ? existing.row : registrySheet.getLastRow()],
+        before: existing,
+        after: entry,
+        details: renamedSlots ? { renamedSlots: renamedSlots } : null
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Registry instructor saved:', entry.id, renamedSlots ? `(${renamedSlots} slots renamed)` : '');
+    
+    return createSuccessResponse({
+      message: request.id ? 'แก้ไขข้อมูลผู้สอนสำเร็จ' : 'เพิ่มผู้สอนในทะเบียนสำเร็จ',
+      data: entry,
+      renamedSlots: renamedSlots
+    });
+    
+  } catch (error) {
+    console.error('Error in saveRegistryInstructor:', error);
+    return createErrorResponse('Failed to save instructor: ' + error.toString(), error.code);
+  }
+}
+
+// Instructors referenced by the schedule or by evaluations can only be deactivated
+function deleteRegistryInstructor(request) {
+  try {
+    console.log('=== Deleting registry instructor ===');
+    
+    if (!request.id) {
+      throw new Error('Missing required field: id');
+    }
+    const id = String(request.id);
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const registrySheet = getRegistrySheet(spreadsheet);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      const existing = readInstructorRegistry(spreadsheet).find(entry => entry.id === id);
+      if (!existing) {
+        throw createAppError('NOT_FOUND', `Instructor not found: ${id}`);
+      }
+      
+      const isReferenced = row => row.instructor1Id === id || row.instructor2Id === id;
+      const inUse = readInstructorRows(spreadsheet).some(isReferenced) ||
+        readEvaluationRecords(spreadsheet, getQuestionSchema(spreadsheet)).some(isReferenced);
+      if (inUse) {
+        throw createAppError('IN_USE', 'Instructor is referenced by the schedule or evaluations; deactivate instead');
+      }
+      
+      registrySheet.deleteRow(existing.row);
+      appendAuditEntry(spreadsheet, {
+        action: 'deleteRegistryInstructor',
+        sheet: registrySheet.getName(),
+        rows: [existing.row],
+        before: existing
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Registry instructor deleted:', id);
+    return createSuccessResponse({
+      message: 'ลบผู้สอนออกจากทะเบียนสำเร็จ',
+      id: id
+    });
+    
+  } catch (error) {
+    console.error('Error in deleteRegistryInstructor:', error);
+    return createErrorResponse('Failed to delete instructor: ' + error.toString(), error.code);
+  }
+}
+
+// One-time backfill: fills empty ID columns in evaluation and instructors from names/aliases.
+// dryRun only reports; createMissing registers every unmatched name as a new instructor.
+function matchInstructorNames(request) {
+  try {
+    console.log('=== Matching instructor names ===');
+    
+    const options = request || {};
+    const spreadsheet = SpreadsheetApp.getActive();
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      const entries = readInstructorRegistry(spreadsheet);
+      let registryIndex = buildRegistryIndex(entries);
+      const targets = ['evaluation', 'instructors']
+        .map(name => spreadsheet.getSheetByName(name))
+        .filter(Boolean);
+      
+      // Collect unmatched names first so createMissing can register them before linking
+      const unmatched = {};
+      targets.forEach(sheet => {
+        forEachUnlinkedInstructor(sheet, name => {
+          if (!registryIndex.byName[normalizeInstructorName(name)]) {
+            unmatched[name] = (unmatched[name] || 0) + 1;
+          }
+        });
+      });
+      
+      const created = [];
+      if (options.createMissing && !options.dryRun && Object.keys(unmatched).length > 0) {
+        const registrySheet = getRegistrySheet(spreadsheet);
+        const columns = ensureColumns(registrySheet, REGISTRY_HEADERS);
+        Object.keys(unmatched).forEach(name => {
+          // Two spellings of one new name (e.g. extra spaces) share an entry
+          if (buildRegistryIndex(entries).byName[normalizeInstructorName(name)]) return;
+          const entry = { id: nextInstructorId(entries), name: name, aliases: [], email: '', active: true };
+          entries.push(entry);
+          created.push(entry);
+          registrySheet.appendRow(buildRow(columns, {
+            'รหัสผู้สอน': entry.id,
+            'ชื่อที่แสดง': entry.name,
+            'ชื่ออื่น': '',
+            'อีเมล': '',
+            'เปิดใช้งาน': true
+          }));
+        });
+        registryIndex = buildRegistryIndex(entries);
+      }
+      
+      const counts = {};
+      targets.forEach(sheet => {
+        counts[sheet.getName()] = linkInstructorIds(sheet, registryIndex, Boolean(options.dryRun));
+      });
+      
+      if (!options.dryRun) {
+        appendAuditEntry(spreadsheet, {
+          action: 'matchInstructorNames',
+          sheet: targets.map(sheet => sheet.getName()).join(', '),
+          after: created.length > 0 ? created : null,
+          details: { counts: counts, createMissing: Boolean(options.createMissing) }
+        });
+      }
+      
+      const unmatchedNames = Object.entries(unmatched)
+        .filter(([name]) => !registryIndex.byName[normalizeInstructorName(name)])
+        .map(([name, count]) => {
+          const suggestion = registryIndex.byBareName[stripInstructorTitle(name)];
+          return { name: name, count: count, suggestion: suggestion ? suggestion.id : '' };
+        })
+        .sort((a, b) => b.count - a.count);
+      
+      console.log('Instructor matching:', counts, 'created:', created.length, 'unmatched:', unmatchedNames.length);
+      
+      return createSuccessResponse({
+        message: options.dryRun ? 'ตรวจสอบการจับคู่ชื่อผู้สอนสำเร็จ (ยังไม่บันทึก)' : 'จับคู่ชื่อผู้สอนกับทะเบียนสำเร็จ',
+        dryRun: Boolean(options.dryRun),
+        counts: counts,
+        created: created,
+        unmatched: unmatchedNames
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+  } catch (error) {
+    console.error('Error in matchInstructorNames:', error);
+    return createErrorResponse('Failed to match instructor names: ' + error.toString(), error.code);
+  }
+}
+
+function forEachUnlinkedInstructor(sheet, callback) {
+  const data = sheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  
+  for (let i = 1; i < data.length; i++) {
+    ['1', '2'].forEach(n => {
+      const name = columns['ผู้สอน' + n] === undefined ? '' : String(data[i][columns['ผู้สอน' + n]]).trim();
+      const id = columns['รหัสผู้สอน' + n] === undefined ? '' : data[i][columns['รหัสผู้สอน' + n]];
+      if (name && !id) callback(name, i, n);
+    });
+  }
+}
+
+// Writes IDs into empty ID cells whose name resolves; returns matched/unmatched counts
+function linkInstructorIds(sheet, registryIndex, dryRun) {
+  const result = { matched: 0, unmatched: 0 };
+  const updates = { '1': {}, '2': {} };
+  
+  forEachUnlinkedInstructor(sheet, (name, index, n) => {
+    const entry = registryIndex.byName[normalizeInstructorName(name)];
+    if (!entry) {
+      result.unmatched++;
+      return;
+    }
+    result.matched++;
+    updates[n][index] = entry.id;
+  });
+  
+  if (dryRun || result.matched === 0) return result;
+  
+  const columns = ensureColumns(sheet, ['รหัสผู้สอน1', 'รหัสผู้สอน2']);
+  const lastRow = sheet.getLastRow();
+  ['1', '2'].forEach(n => {
+    if (Object.keys(updates[n]).length === 0) return;
+    const range = sheet.getRange(2, columns['รหัสผู้สอน' + n], lastRow - 1, 1);
+    const values = range.getValues().map((row, offset) => [updates[n][offset + 1] || row[0]]);
+    range.setValues(values);
+  });
+  
+  return result;
+}
+
+function renameScheduledInstructor(spreadsheet, entry) {
+  const instructorsSheet = spreadsheet.getSheetByName('instructors');
+  if (!instructorsSheet) return 0;
+  
+  const columns = ensureColumns(instructorsSheet, INSTRUCTORS_HEADERS);
+  let renamed = 0;
+  readInstructorRows(spreadsheet).forEach(row => {
+    ['1', '2'].forEach(n => {
+      if (row['instructor' + n + 'Id'] === entry.id && row['instructor' + n] !== entry.name) {
+        instructorsSheet.getRange(row.row, columns['ผู้สอน' + n]).setValue(entry.name);
+        renamed++;
+      }
+    });
+  });
+  return renamed;
+}
+
+function readInstructorRegistry(spreadsheet) {
+  const registrySheet = spreadsheet.getSheetByName('instructorsRegistry');
+  if (!registrySheet) return [];
+  
+  const data = registrySheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const entries = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : String(data[i][columns[header]]).trim());
+    const id = value('รหัสผู้สอน');
+    if (!id) continue;
+    
+    const active = value('เปิดใช้งาน');
+    entries.push({
+      row: i + 1,
+      id: id,
+      name: value('ชื่อที่แสดง') || id,
+      aliases: value('ชื่ออื่น').split(',').map(alias => alias.trim()).filter(Boolean),
+      email: value('อีเมล'),
+      active: active === '' || parseBoolean(active)
+    });
+  }
+  
+  return entries;
+}
+
+// Inactive entries still resolve so older evaluations keep their link
+function buildRegistryIndex(entries) {
+  const index = { byId: {}, byName: {}, byBareName: {} };
+  entries.forEach(entry => {
+    index.byId[entry.id] = entry;
+    [entry.name].concat(entry.aliases).forEach(name => {
+      const key = normalizeInstructorName(name);
+      if (!index.byName[key]) index.byName[key] = entry;
+      const bare = stripInstructorTitle(name);
+      if (bare && !index.byBareName[bare]) index.byBareName[bare] = entry;
+    });
+  });
+  return index;
+}
+
+function normalizeInstructorName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function stripInstructorTitle(name) {
+  let bare = normalizeInstructorName(name);
+  while (INSTRUCTOR_TITLE_PATTERN.test(bare)) {
+    bare = bare.replace(INSTRUCTOR_TITLE_PATTERN, '');
+  }
+  return bare;
+}
+
+function resolveInstructorId(registryIndex, name, requestedId) {
+  if (requestedId && registryIndex.byId[requestedId]) return String(requestedId);
+  const entry = name ? registryIndex.byName[normalizeInstructorName(name)] : null;
+  return entry ? entry.id : '';
+}
+
+// Sets instructor1Id/instructor2Id on target; IDs in source win when they exist,
+// so source must be trusted (an editor's request or the schedule)
+function attachInstructorIds(registryIndex, target, source) {
+  ['1', '2'].forEach(n => {
+    target['instructor' + n + 'Id'] = resolveInstructorId(registryIndex, target['instructor' + n], (source || {})['instructor' + n + 'Id']);
+  });
+  return target;
+}
+
+// The IDs linked to the slot being evaluated, for the instructors it is scheduled with
+function scheduledInstructorIds(spreadsheet, courseId, evaluationData) {
+  const slot = readInstructorRows(spreadsheet).find(row => row.course === courseId &&
+    row.center === String(evaluationData.center) && row.week === String(evaluationData.week) &&
+    row.day === String(evaluationData.day) && row.period === String(evaluationData.period));
+  const ids = {};
+  ['1', '2'].forEach(n => {
+    const name = evaluationData['instructor' + n];
+    const scheduled = slot ? ['1', '2'].find(m => name && slot['instructor' + m] === name) : null;
+    ids['instructor' + n + 'Id'] = scheduled ? slot['instructor' + scheduled + 'Id'] : '';
+  });
+  return ids;
+}
+
+// Reports group by person: linked (or alias-matched) names are shown as the registry display name
+function applyInstructorRegistry(records, registryIndex) {
+  records.forEach(record => {
+    ['1', '2'].forEach(n => {
+      const id = resolveInstructorId(registryIndex, record['instructor' + n], record['instructor' + n + 'Id']);
+      if (!id) return;
+      record['instructor' + n + 'Id'] = id;
+      record['instructor' + n] = registryIndex.byId[id].name;
+    });
+  });
+  return records;
+}
+
+function nextInstructorId(entries) {
+  const highest = entries.reduce((max, entry) => {
+    const match = String(entry.id).match(/^INS-(\d+)$/);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+  return INSTRUCTOR_ID_PREFIX + String(highest + 1).padStart(3, '0');
+}
+
+function getRegistrySheet(spreadsheet) {
+  return spreadsheet.getSheetByName('instructorsRegistry') || createRegistrySheet(spreadsheet);
+}
+
+// =============================================================================
+// 📝 QUESTIONNAIRE - แบบสอบถาม
+// =============================================================================
+
+function getForm() {
+  try {
+    console.log('Getting questionnaire schema...');
+    const questions = getQuestionSchema(SpreadsheetApp.getActive());
+    
+    return createSuccessResponse({
+      data: { questions: questions },
+      message: 'Form schema retrieved successfully',
+      questionCount: questions.length
+    });
+    
+  } catch (error) {
+    console.error('Error in getForm:', error);
+    return createErrorResponse('Failed to get form: ' + error.toString());
+  }
+}
+
+function getQuestionSchema(spreadsheet) {
+  const questionsSheet = spreadsheet.getSheetByName('questions') || createQuestionsSheet(spreadsheet);
+  const data = questionsSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const questions = [];
+  const seenIds = {};
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    const id = value('รหัสคำถาม');
+    const label = value('คำถาม');
+    const type = value('ประเภท');
+    
+    // Skip empty rows
+    if (!id) continue;
+    
+    const questionId = String(id).trim();
+    const questionType = String(type || '').trim().toLowerCase();
+    if (!QUESTION_TYPES.includes(questionType)) {
+      throw new Error(`Invalid question type for ${questionId}: ${type}`);
+    }
+    if (seenIds[questionId]) {
+      throw new Error(`Duplicate question id: ${questionId}`);
+    }
+    seenIds[questionId] = true;
+    
+    questions.push({
+      id: questionId,
+      label: String(label || questionId),
+      column: String(value('หัวคอลัมน์') || label || questionId),
+      type: questionType,
+      required: parseBoolean(value('บังคับตอบ')),
+      options: String(value('ตัวเลือก') || '').split(',').map(option => option.trim()).filter(Boolean),
+      icon: String(value('ไอคอน') || '')
+    });
+  }
+  
+  return questions;
+}
+
+function validateAnswers(questions, evaluationData) {
+  const answers = {};
+  
+  questions.forEach(question => {
+    const raw = evaluationData[question.id];
+    
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (question.required) {
+        throw new Error(`Missing answer for ${question.id}`);
+      }
+      answers[question.id] = '';
+      return;
+    }
+    
+    switch (question.type) {
+      case 'scale': {
+        const rating = parseInt(raw);
+        if (isNaN(rating) || rating < 1 || rating > 5) {
+          throw new Error(`Invalid rating for ${question.id}: must be 1-5`);
+        }
+        answers[question.id] = rating;
+        break;
+      }
+      case 'yesno': {
+        const value = String(raw).trim().toLowerCase();
+        if (value !== 'yes' && value !== 'no') {
+          throw new Error(`Invalid answer for ${question.id}: must be yes or no`);
+        }
+        answers[question.id] = value;
+        break;
+      }
+      case 'choice': {
+        const value = String(raw).trim();
+        if (!question.options.includes(value)) {
+          throw new Error(`Invalid choice for ${question.id}: ${value}`);
+        }
+        answers[question.id] = value;
+        break;
+      }
+      default:
+        answers[question.id] = String(raw).slice(0, MAX_TEXT_ANSWER_LENGTH);
+    }
+  });
+  
+  return answers;
+}
+
+function getRatingCriteria(questions) {
+  return questions.filter(question => question.type === 'scale').map(question => question.id);
+}
+
+function getCriteriaLabels(questions) {
+  const labels = {};
+  questions.forEach(question => {
+    labels[question.id] = question.column;
+  });
+  return labels;
+}
+
+// =============================================================================
+// 🎟️ EVALUATION TOKENS - ป้องกันการประเมินซ้ำ
+// =============================================================================
+
+function issueEvaluationTokens(request) {
+  try {
+    console.log('=== Issuing evaluation tokens ===');
+    
+    const requiredFields = ['center', 'week', 'day', 'period'];
+    for (const field of requiredFields) {
+      if (!request[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+    
+    const count = parseInt(request.count) || 1;
+    if (count < 1 || count > 500) {
+      throw new Error('Invalid count: must be 1-500');
+    }
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const courseId = resolveCourseId(spreadsheet, request.course);
+    const tokensSheet = getTokensSheet(spreadsheet);
+    const columns = ensureColumns(tokensSheet, TOKENS_HEADERS);
+    const issuedAt = Utilities.formatDate(new Date(), 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss');
+    
+    const tokens = [];
+    const rows = [];
+    for (let i = 0; i < count; i++) {
+      const token = Utilities.getUuid();
+      tokens.push(token);
+      rows.push(buildRow(columns, {
+        'Token': token,
+        'ศูนย์': request.center,
+        'สัปดาห์': String(request.week),
+        'วัน': request.day,
+        'ช่วงเวลา': request.period,
+        'สถานะ': TOKEN_STATUS.ISSUED,
+        'ออกเมื่อ': issuedAt,
+        'หลักสูตร': courseId
+      }));
+    }
+    
+    const firstRow = tokensSheet.getLastRow() + 1;
+    tokensSheet.getRange(firstRow, 1, rows.length, rows[0].length).setValues(rows);
+    
+    // The tokens are credentials, so the log only records how many were issued for which slot
+    appendAuditEntry(spreadsheet, {
+      action: 'issueTokens',
+      sheet: tokensSheet.getName(),
+      rows: rows.map((row, index) => firstRow + index),
+      details: { course: courseId, center: request.center, week: String(request.week), day: request.day, period: request.period, count: count }
+    });
+    
+    console.log('Issued tokens:', tokens.length);
+    
+    return createSuccessResponse({
+      message: 'ออกโทเค็นประเมินสำเร็จ',
+      tokens: tokens,
+      slot: {
+        course: courseId,
+        center: request.center,
+        week: String(request.week),
+        day: request.day,
+        period: request.period
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error in issueEvaluationTokens:', error);
+    return createErrorResponse('Failed to issue tokens: ' + error.toString(), error.code);
+  }
+}
+
+// Throws DUPLICATE / INVALID_TOKEN; caller must hold the script lock
+function consumeEvaluationToken(spreadsheet, evaluationData) {
+  const tokensSheet = getTokensSheet(spreadsheet);
+  const columns = ensureColumns(tokensSheet, TOKENS_HEADERS);
+  const data = tokensSheet.getDataRange().getValues();
+  const consumedAt = Utilities.formatDate(new Date(), 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss');
+  const course = evaluationData.course || DEFAULT_COURSE_ID;
+  const cell = (row, header) => row[columns[header] - 1];
+  const sameSlot = row => cell(row, 'ศูนย์') === evaluationData.center &&
+    String(cell(row, 'สัปดาห์')) === String(evaluationData.week) &&
+    cell(row, 'วัน') === evaluationData.day && cell(row, 'ช่วงเวลา') === evaluationData.period &&
+    (cell(row, 'หลักสูตร') || DEFAULT_COURSE_ID) === course;
+  
+  if (evaluationData.token) {
+    for (let i = 1; i < data.length; i++) {
+      if (cell(data[i], 'Token') !== evaluationData.token) continue;
+      
+      if (!sameSlot(data[i])) {
+        throw createAppError('INVALID_TOKEN', 'Token was issued for a different slot');
+      }
+      if (cell(data[i], 'สถานะ') === TOKEN_STATUS.CONSUMED) {
+        throw createAppError('DUPLICATE', 'This token has already been used');
+      }
+      
+      tokensSheet.getRange(i + 1, columns['สถานะ']).setValue(TOKEN_STATUS.CONSUMED);
+      tokensSheet.getRange(i + 1, columns['ใช้เมื่อ']).setValue(consumedAt);
+      return;
+    }
+    throw createAppError('INVALID_TOKEN', 'Unknown evaluation token');
+  }
+  
+  const studentId = normalizeStudentId(evaluationData.studentId);
+  for (let i = 1; i < data.length; i++) {
+    if (normalizeStudentId(cell(data[i], 'รหัสนักเรียน')) === studentId && sameSlot(data[i]) &&
+        cell(data[i], 'สถานะ') === TOKEN_STATUS.CONSUMED) {
+      throw createAppError('DUPLICATE', 'Student has already evaluated this slot');
+    }
+  }
+  
+  tokensSheet.appendRow(buildRow(columns, {
+    'Token': Utilities.getUuid(),
+    'รหัสนักเรียน': studentId,
+    'ศูนย์': evaluationData.center,
+    'สัปดาห์': String(evaluationData.week),
+    'วัน': evaluationData.day,
+    'ช่วงเวลา': evaluationData.period,
+    'สถานะ': TOKEN_STATUS.CONSUMED,
+    'ออกเมื่อ': consumedAt,
+    'ใช้เมื่อ': consumedAt,
+    'หลักสูตร': course
+  }));
+}
+
+function normalizeStudentId(studentId) {
+  return String(studentId || '').trim().toUpperCase();
+}
+
+function getTokensSheet(spreadsheet) {
+  return spreadsheet.getSheetByName('evaluationTokens') || createTokensSheet(spreadsheet);
+}
+
+// =============================================================================
+// 🔐 AUTHENTICATION - ยืนยันตัวตนและสิทธิ์
+// =============================================================================
+//
+// Script Properties:
+//   API_KEYS       JSON { "<key>": "viewer" | "editor" } for scripts and integrations
+//   ADMIN_USERS     JSON { "<username>": { "passwordHash": "...", "salt": "...", "role": "editor" } }
+//                   (set with setAdminUser() from the Apps Script editor)
+//   PASSWORD_SECRET HMAC key for password hashes, generated with the first salted login
+//   SESSION_SECRET  HMAC key for session tokens, generated on first login
+
+function login(request) {
+  try {
+    const username = String(request.username || '').trim();
+    const password = String(request.password || '');
+    
+    if (!username || !password) {
+      throw createAppError('INVALID_CREDENTIALS', 'Username and password are required');
+    }
+    
+    // Unknown usernames are counted too, so a lockout doesn't reveal which names exist
+    const failures = getLoginFailures(username);
+    if (failures >= MAX_LOGIN_FAILURES) {
+      throw createAppError('TOO_MANY_ATTEMPTS', `Too many failed logins; try again in ${LOGIN_LOCKOUT_MINUTES} minutes`);
+    }
+    
+    const user = getScriptJsonProperty('ADMIN_USERS')[username];
+    if (!user || !verifyPassword(user, username, password) || !ROLE_LEVELS[user.role]) {
+      console.warn('Failed login for', username);
+      recordLoginFailure(username, failures + 1);
+      throw createAppError('INVALID_CREDENTIALS', 'Invalid username or password');
+    }
+    CacheService.getScriptCache().remove(getLoginFailureKey(username));
+    if (!user.salt) {
+      saveAdminUser(username, password, user.role);
+    }
+    
+    const expiresAt = Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000;
+    console.log('Login successful:', username, user.role);
+    
+    return createSuccessResponse({
+      message: 'เข้าสู่ระบบสำเร็จ',
+      sessionToken: signSessionToken(username, user.role, expiresAt),
+      username: username,
+      role: user.role,
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in login:', error);
+    return createErrorResponse('Login failed: ' + error.message, error.code);
+  }
+}
+
+// Throws AUTH_REQUIRED / FORBIDDEN; returns the caller identity for protected actions
+function authorizeRequest(action, params) {
+  const requiredRole = ACTION_ROLES[action];
+  if (!requiredRole) return null;
+  
+  const identity = resolveCredential(params || {});
+  if (!identity) {
+    throw createAppError('AUTH_REQUIRED', `Action ${action} requires an API key or session token`);
+  }
+  
+  if (ROLE_LEVELS[identity.role] < ROLE_LEVELS[requiredRole]) {
+    throw createAppError('FORBIDDEN', `Action ${action} requires the ${requiredRole} role`);
+  }
+  
+  return identity;
+}
+
+function resolveCredential(params) {
+  if (params.apiKey) {
+    const role = getScriptJsonProperty('API_KEYS')[params.apiKey];
+    if (!ROLE_LEVELS[role]) {
+      throw createAppError('AUTH_REQUIRED', 'Invalid API key');
+    }
+    return { username: 'api-key', role: role };
+  }
+  
+  if (params.sessionToken) {
+    return verifySessionToken(params.sessionToken);
+  }
+  
+  return null;
+}
+
+// Token format: <encoded username>:<role>:<expiry ms>.<HMAC signature>
+function signSessionToken(username, role, expiresAt) {
+  const payload = [encodeURIComponent(username), role, expiresAt].join(':');
+  return payload + '.' + computeSessionSignature(payload);
+}
+
+function verifySessionToken(token) {
+  const separator = String(token).lastIndexOf('.');
+  const payload = String(token).slice(0, separator);
+  const signature = String(token).slice(separator + 1);
+  
+  if (separator < 0 || signature !== computeSessionSignature(payload)) {
+    throw createAppError('AUTH_REQUIRED', 'Invalid session token');
+  }
+  
+  const [username, role, expiresAt] = payload.split(':');
+  if (Number(expiresAt) < Date.now()) {
+    throw createAppError('SESSION_EXPIRED', 'Session expired; please log in again');
+  }
+  
+  return { username: decodeURIComponent(username), role: role };
+}
+
+function computeSessionSignature(payload) {
+  const signature = Utilities.computeHmacSha256Signature(payload, getSessionSecret());
+  return Utilities.base64EncodeWebSafe(signature).replace(/=+$/, '');
+}
+
+function getSessionSecret() {
+  return getScriptSecret('SESSION_SECRET');
+}
+
+function getScriptSecret(name) {
+  const properties = PropertiesService.getScriptProperties();
+  let secret = properties.getProperty(name);
+  
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty(name, secret);
+  }
+  return secret;
+}
+
+// Salted per user and keyed with PASSWORD_SECRET, so equal passwords get different hashes and
+// a copy of ADMIN_USERS alone can't be brute-forced
+function hashPassword(password, salt) {
+  const signature = Utilities.computeHmacSha256Signature(salt + ':' + password, getScriptSecret('PASSWORD_SECRET'));
+  return bytesToHex(signature);
+}
+
+// Logins saved before salting hold a plain SHA-256 of username:password; login re-saves them salted
+function verifyPassword(user, username, password) {
+  if (user.salt) {
+    return user.passwordHash === hashPassword(password, user.salt);
+  }
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, username + ':' + password, Utilities.Charset.UTF_8);
+  return user.passwordHash === bytesToHex(bytes);
+}
+
+function getLoginFailures(username) {
+  return parseInt(CacheService.getScriptCache().get(getLoginFailureKey(username))) || 0;
+}
+
+function recordLoginFailure(username, failures) {
+  CacheService.getScriptCache().put(getLoginFailureKey(username), String(failures), LOGIN_LOCKOUT_MINUTES * 60);
+}
+
+// Hashed because cache keys are limited to 250 characters
+function getLoginFailureKey(username) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, username.toLowerCase(), Utilities.Charset.UTF_8);
+  return 'login-failures:' + bytesToHex(bytes);
+}
+
+function getScriptJsonProperty(name) {
+  const value = PropertiesService.getScriptProperties().getProperty(name);
+  if (!value) return {};
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error(`Invalid JSON in script property ${name}:`, error);
+    return {};
+  }
+}
+
+// Run from the Apps Script editor to add or update an admin login
+function setAdminUser(username, password, role) {
+  if (!username || !password || !ROLE_LEVELS[role]) {
+    throw new Error('Usage: setAdminUser(username, password, "viewer" | "editor")');
+  }
+  
+  saveAdminUser(username, password, role);
+  
+  appendAuditEntry(SpreadsheetApp.getActive(), {
+    action: 'setAdminUser',
+    details: { username: username, role: role }
+  });
+  console.log('Admin user saved:', username, role);
+}
+
+function saveAdminUser(username, password, role) {
+  const salt = Utilities.getUuid();
+  const users = getScriptJsonProperty('ADMIN_USERS');
+  users[username] = { passwordHash: hashPassword(password, salt), salt: salt, role: role };
+  PropertiesService.getScriptProperties().setProperty('ADMIN_USERS', JSON.stringify(users));
+}
+
+function maskCredentials(params) {
+  if (!params) return params;
+  
+  const masked = Object.assign({}, params);
+  ['password', 'apiKey', 'sessionToken'].forEach(field => {
+    if (masked[field]) masked[field] = '***';
+  });
+  return masked;
+}
+
+// =============================================================================
+// 📈 REPORTS - รายงานผลการประเมิน
+// =============================================================================
+
+function getInstructorReport(params) {
+  try {
+    console.log('=== Building instructor report ===');
+    const filters = parseReportFilters(params);
+    console.log('Report filters:', filters);
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const questions = getQuestionSchema(spreadsheet);
+    const criteria = getRatingCriteria(questions);
+    const records = filterEvaluationRecords(readEvaluationRecords(spreadsheet, questions, filters.term), filters);
+    
+    const byInstructor = groupRecordsByInstructor(records, filters.instructor);
+    
+    const report = {};
+    Object.entries(byInstructor).forEach(([name, instructorRecords]) => {
+      report[name] = {
+        instructor: name,
+        ...summarizeRatings(instructorRecords, criteria),
+        breakdown: {
+          center: summarizeByField(instructorRecords, 'center', criteria),
+          week: summarizeByField(instructorRecords, 'week', criteria),
+          day: summarizeByField(instructorRecords, 'day', criteria),
+          period: summarizeByField(instructorRecords, 'period', criteria)
+        }
+      };
+    });
+    
+    console.log('Report instructors:', Object.keys(report).length);
+    
+    return createSuccessResponse({
+      data: report,
+      filters: filters,
+      criteria: criteria,
+      criteriaLabels: getCriteriaLabels(questions),
+      recordCount: records.length,
+      message: 'Instructor report generated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error in getInstructorReport:', error);
+    return createErrorResponse('Failed to build instructor report: ' + error.toString());
+  }
+}
+
+function getEvaluationSummary(params) {
+  try {
+    console.log('=== Building evaluation summary ===');
+    const filters = parseReportFilters(params);
+    const source = params || {};
+    const slotLimit = parseInt(source.slotLimit) || 10;
+    const commentLimit = parseInt(source.commentLimit) || 20;
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const questions = getQuestionSchema(spreadsheet);
+    const criteria = getRatingCriteria(questions);
+    const records = filterEvaluationRecords(readEvaluationRecords(spreadsheet, questions, filters.term), filters);
+    
+    // Per-instructor averages
+    const byInstructor = {};
+    Object.entries(groupRecordsByInstructor(records, filters.instructor)).forEach(([name, instructorRecords]) => {
+      byInstructor[name] = summarizeMeans(instructorRecords, criteria);
+    });
+    
+    // Weekly trend, including weeks without responses
+    const byWeek = summarizeByField(records, 'week', criteria);
+    const trend = [];
+    const weekCount = filters.course ? getCourseWeekCount(spreadsheet, filters.course) : COURSE_WEEKS;
+    for (let week = 1; week <= weekCount; week++) {
+      const summary = byWeek[String(week)];
+      trend.push({
+        week: week,
+        responses: summary ? summary.responses : 0,
+        overallMean: summary ? summary.overallMean : null,
+        means: summary ? summary.means : {}
+      });
+    }
+    
+    // Lowest-scoring slots
+    const slotRecords = records.map(record => ({
+      ...record,
+      slot: [record.center, record.week, record.day, record.period].join('|')
+    }));
+    const lowestSlots = Object.entries(summarizeByField(slotRecords, 'slot', criteria))
+      .map(([slot, summary]) => {
+        const [center, week, day, period] = slot.split('|');
+        const sample = slotRecords.find(record => record.slot === slot);
+        return {
+          center, week, day, period,
+          instructor1: sample.instructor1,
+          instructor2: sample.instructor2,
+          ...summary
+        };
+      })
+      .sort((a, b) => a.overallMean - b.overallMean)
+      .slice(0, slotLimit);
+    
+    // Recent free-text comments, newest first (rows are appended in order)
+    const recentComments = records
+      .filter(record => record.comment.trim())
+      .sort((a, b) => b.row - a.row)
+      .slice(0, commentLimit)
+      .map(record => ({
+        timestamp: record.timestamp,
+        center: record.center,
+        week: record.week,
+        day: record.day,
+        period: record.period,
+        instructor1: record.instructor1,
+        instructor2: record.instructor2,
+        comment: record.comment,
+        sentiment: record.moderation.sentiment
+      }));
+    
+    // Year-over-year: the same filters against another term; dates are dropped since terms never overlap
+    let comparison = null;
+    if (source.compareTerm) {
+      const compareFilters = Object.assign({}, filters, { term: parseTermId(source.compareTerm) });
+      delete compareFilters.dateFrom;
+      delete compareFilters.dateTo;
+      const compareRecords = filterEvaluationRecords(
+        readEvaluationRecords(spreadsheet, questions, compareFilters.term), compareFilters);
+      const compareByInstructor = {};
+      Object.entries(groupRecordsByInstructor(compareRecords, filters.instructor)).forEach(([name, instructorRecords]) => {
+        compareByInstructor[name] = summarizeMeans(instructorRecords, criteria);
+      });
+      const overall = summarizeMeans(compareRecords, criteria);
+      comparison = {
+        term: compareFilters.term,
+        overall: overall,
+        byCenter: summarizeByField(compareRecords, 'center', criteria),
+        byInstructor: compareByInstructor,
+        change: compareMeans(summarizeMeans(records, criteria), overall, criteria)
+      };
+    }
+    
+    return createSuccessResponse({
+      data: {
+        overall: summarizeRatings(records, criteria),
+        byCenter: summarizeByField(records, 'center', criteria),
+        byInstructor: byInstructor,
+        trend: trend,
+        lowestSlots: lowestSlots,
+        recentComments: recentComments,
+        comparison: comparison
+      },
+      filters: filters,
+      criteria: criteria,
+      criteriaLabels: getCriteriaLabels(questions),
+      recordCount: records.length,
+      message: 'Evaluation summary generated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error in getEvaluationSummary:', error);
+    return createErrorResponse('Failed to build evaluation summary: ' + error.toString());
+  }
+}
+
+function groupRecordsByInstructor(records, onlyInstructor) {
+  // A record counts towards every instructor named in the slot (F/G), with that instructor's ratings
+  const groups = {};
+  records.forEach(record => {
+    INSTRUCTOR_POSITIONS.forEach(position => {
+      const name = record['instructor' + position];
+      if (!name) return;
+      if (onlyInstructor && name !== onlyInstructor) return;
+      if (!groups[name]) groups[name] = [];
+      groups[name].push(instructorRecord(record, position));
+    });
+  });
+  return groups;
+}
+
+// Current minus previous for the overall and per-criterion means; null where either side has no ratings
+function compareMeans(current, previous, criteria) {
+  const difference = (a, b) => (a === null || b === null ? null : roundTo(a - b, 2));
+  const means = {};
+  criteria.forEach(criterion => {
+    means[criterion] = difference(current.means[criterion], previous.means[criterion]);
+  });
+  return {
+    responses: current.responses - previous.responses,
+    overallMean: difference(current.overallMean, previous.overallMean),
+    means: means
+  };
+}
+
+// The record as seen by one instructor; submissions from before per-instructor rows use the slot ratings
+function instructorRecord(record, position) {
+  const ratings = record.instructorRatings && record.instructorRatings[position];
+  return ratings ? { ...record, ratings: ratings, ratedPerInstructor: false } : record;
+}
+
+function parseReportFilters(params) {
+  const source = params || {};
+  const filters = {};
+  
+  if (source.course) filters.course = String(source.course);
+  if (source.center) filters.center = String(source.center);
+  if (source.instructor) filters.instructor = String(source.instructor);
+  if (source.term) filters.term = parseTermId(source.term);
+  
+  ['weekFrom', 'weekTo'].forEach(key => {
+    if (source[key] === undefined || source[key] === '') return;
+    const week = parseInt(source[key]);
+    if (isNaN(week)) {
+      throw new Error(`Invalid ${key}: must be a week number`);
+    }
+    filters[key] = week;
+  });
+  
+  // Dates compare as yyyy-MM-dd strings (Bangkok time), both ends inclusive
+  ['dateFrom', 'dateTo'].forEach(key => {
+    if (!source[key]) return;
+    const date = String(source[key]);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Invalid ${key}: must be yyyy-MM-dd`);
+    }
+    filters[key] = date;
+  });
+  
+  return filters;
+}
+
+// With a term, reads that term's archived evaluations instead of the current ones
+function readEvaluationRecords(spreadsheet, questions, term) {
+  const evaluationSheet = getTermSheet(spreadsheet, 'evaluation', term);
+  if (!evaluationSheet) return [];
+  
+  const records = parseEvaluationRecords(evaluationSheet.getDataRange().getValues(), questions);
+  const ratingsBySubmission = readInstructorRatings(spreadsheet, questions, term);
+  const criteria = getRatingCriteria(questions);
+  records.forEach(record => {
+    record.instructorRatings = ratingsBySubmission[record.submissionId] || null;
+    // Rated per instructor: the slot-level scale cells are blank, so summaries count each
+    // instructor's ratings instead
+    record.ratedPerInstructor = Boolean(record.instructorRatings) && criteria.length > 0 &&
+      criteria.every(field => record.answers[field] === '');
+  });
+  return applyInstructorRegistry(records, buildRegistryIndex(readInstructorRegistry(spreadsheet)));
+}
+
+// { <submission id>: { <position>: { <question id>: rating } } }
+function readInstructorRatings(spreadsheet, questions, term) {
+  const ratingsSheet = getTermSheet(spreadsheet, 'instructorRatings', term);
+  if (!ratingsSheet) return {};
+  
+  const data = ratingsSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const scaleQuestions = questions.filter(question => question.type === 'scale');
+  const ratingsBySubmission = {};
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    const submissionId = String(value(SUBMISSION_ID_HEADER) || '');
+    const position = String(value('ลำดับผู้สอน') || '');
+    if (!submissionId || !INSTRUCTOR_POSITIONS.includes(position)) continue;
+    
+    const ratings = {};
+    scaleQuestions.forEach(question => {
+      ratings[question.id] = Number(value(question.column)) || 0;
+    });
+    if (!ratingsBySubmission[submissionId]) ratingsBySubmission[submissionId] = {};
+    ratingsBySubmission[submissionId][position] = ratings;
+  }
+  
+  return ratingsBySubmission;
+}
+
+function parseEvaluationRecords(data, questions) {
+  const columns = getHeaderIndexes(data[0]);
+  const scaleQuestions = questions.filter(question => question.type === 'scale');
+  const records = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const row = data[i];
+    const value = header => (columns[header] === undefined ? '' : row[columns[header]]);
+    
+    const center = value('ศูนย์');
+    const week = value('สัปดาห์');
+    const day = value('วัน');
+    const period = value('ช่วงเวลา');
+    if (!center || !week || !day || !period) continue;
+    
+    const answers = {};
+    questions.forEach(question => {
+      answers[question.id] = value(question.column);
+    });
+    
+    const ratings = {};
+    scaleQuestions.forEach(question => {
+      ratings[question.id] = Number(answers[question.id]) || 0;
+    });
+    
+    const rawComment = joinTextAnswers(questions, answers);
+    const moderation = {
+      // Comments from before moderation have no status until the v9 migration screens them
+      status: rawComment ? String(value('สถานะความคิดเห็น') || COMMENT_STATUS.PENDING) : '',
+      flags: String(value('ธงความคิดเห็น') || '').split(',').filter(Boolean),
+      sentiment: String(value('ความรู้สึก') || '')
+    };
+    
+    records.push({
+      row: i + 1,
+      timestamp: value('Timestamp'),
+      date: getEvaluationDateKey(value('Timestamp')),
+      center: String(center),
+      week: String(week),
+      day: String(day),
+      period: String(period),
+      instructor1: String(value('ผู้สอน1') || ''),
+      instructor2: String(value('ผู้สอน2') || ''),
+      instructor1Id: String(value('รหัสผู้สอน1') || ''),
+      instructor2Id: String(value('รหัสผู้สอน2') || ''),
+      course: String(value('หลักสูตร') || DEFAULT_COURSE_ID),
+      submissionId: String(value(SUBMISSION_ID_HEADER) || ''),
+      ratings: ratings,
+      answers: answers,
+      // Reports only ever see the moderated text; rawComment is for the moderation queue
+      comment: getVisibleComment(rawComment, moderation.status, value('ความคิดเห็นที่ปิดบัง')),
+      rawComment: rawComment,
+      moderation: moderation
+    });
+  }
+  
+  return records;
+}
+
+function filterEvaluationRecords(records, filters) {
+  return records.filter(record => {
+    if (filters.course && record.course !== filters.course) return false;
+    if (filters.center && record.center !== filters.center) return false;
+    if (filters.instructor &&
+        record.instructor1 !== filters.instructor &&
+        record.instructor2 !== filters.instructor) return false;
+    
+    const week = parseInt(record.week);
+    if (filters.weekFrom !== undefined && !(week >= filters.weekFrom)) return false;
+    if (filters.weekTo !== undefined && !(week <= filters.weekTo)) return false;
+    
+    if (filters.dateFrom && !(record.date && record.date >= filters.dateFrom)) return false;
+    if (filters.dateTo && !(record.date && record.date <= filters.dateTo)) return false;
+    
+    return true;
+  });
+}
+
+function summarizeRatings(records, criteria) {
+  const summary = {};
+  let overallTotal = 0;
+  let overallCount = 0;
+  
+  criteria.forEach(field => {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+    let count = 0;
+    
+    records.forEach(record => {
+      // A submission rated per instructor gives one answer per instructor
+      const ratingSets = record.ratedPerInstructor ? Object.values(record.instructorRatings) : [record.ratings];
+      ratingSets.forEach(ratings => {
+        const score = ratings[field];
+        if (Number.isInteger(score) && score >= 1 && score <= 5) {
+          distribution[score]++;
+          total += score;
+          count++;
+        }
+      });
+    });
+    
+    summary[field] = {
+      mean: count > 0 ? roundTo(total / count, 2) : null,
+      count: count,
+      distribution: distribution
+    };
+    overallTotal += total;
+    overallCount += count;
+  });
+  
+  return {
+    responses: records.length,
+    overallMean: overallCount > 0 ? roundTo(overallTotal / overallCount, 2) : null,
+    criteria: summary
+  };
+}
+
+function summarizeByField(records, field, criteria) {
+  const groups = {};
+  records.forEach(record => {
+    const key = record[field];
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(record);
+  });
+  
+  const result = {};
+  Object.entries(groups).forEach(([key, groupRecords]) => {
+    result[key] = summarizeMeans(groupRecords, criteria);
+  });
+  
+  return result;
+}
+
+function summarizeMeans(records, criteria) {
+  // Compact form of summarizeRatings: means only, no distributions
+  const summary = summarizeRatings(records, criteria);
+  const means = {};
+  criteria.forEach(criterion => {
+    means[criterion] = summary.criteria[criterion].mean;
+  });
+  return {
+    responses: summary.responses,
+    overallMean: summary.overallMean,
+    means: means
+  };
+}
+
+// Timestamps are written as 'dd/MM/yyyy HH:mm:ss' but Sheets may turn them into Dates
+function getEvaluationDateKey(timestamp) {
+  if (timestamp instanceof Date) {
+    return Utilities.formatDate(timestamp, 'Asia/Bangkok', 'yyyy-MM-dd');
+  }
+  
+  const match = String(timestamp || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (!match) return '';
+  
+  const pad = value => ('0' + value).slice(-2);
+  return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+}
+
+function roundTo(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// =============================================================================
+// 🛡️ COMMENT MODERATION - คัดกรองความคิดเห็น
+// =============================================================================
+
+// Thai has no spaces between words, so words are matched as substrings; the exceptions are
+// ordinary words that contain one of them (สัดส่วน, ห่าง, กูเกิล ...) and are blanked out first
+const PROFANITY_WORDS = [
+  'เหี้ย', 'เหี่ย', 'เชี่ย', 'สัส', 'สัด', 'ควย', 'หี', 'เย็ด', 'แม่ง', 'มึง', 'กู', 'ไอ้สัตว์', 'อีสัตว์',
+  'ชิบหาย', 'ฉิบหาย', 'ระยำ', 'ส้นตีน', 'ตอแหล', 'อีดอก', 'ดอกทอง', 'กระหรี่', 'เสือก', 'ห่า', 'ควาย',
+  'fuck', 'shit', 'bitch', 'asshole', 'bastard'
+];
+const PROFANITY_EXCEPTIONS = [
+  'สัดส่วน', 'หีบ', 'เหี่ยว', 'ห่าง', 'ห่าน', 'แม่งาน', 'กู้', 'กูเกิล', 'กูเกิ้ล', 'กูรู', 'ควายป่า'
+];
+
+// Types of personal data students type into comments, in the order they are masked.
+// A name is a title and the one word after it: Thai titles must follow a space or punctuation (not ทนายความ) and
+// English ones need a capital and a dot or space, so "missing" and "I miss class" are left alone
+const PERSONAL_DATA_PATTERNS = [
+  { flag: 'email', pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, mask: '[อีเมล]' },
+  { flag: 'phone', pattern: /(\+66|0)[\d\s-]{8,11}\d/g, mask: '[เบอร์โทร]' },
+  { flag: 'id-number', pattern: /\b\d{5,}\b/g, mask: '[ตัวเลข]' },
+  { flag: 'name', pattern: /(?<![ก-๙])(นางสาว|น\.ส\.|นาย|เด็กชาย|เด็กหญิง|ด\.ช\.|ด\.ญ\.)\s*[ก-๙]+|\b(Mr|Mrs|Ms|Miss)(\.\s*|\s+)[A-Z][a-z]+/g, mask: '[ชื่อ]' }
+];
+
+// Lexicon for the sentiment tag; "ไม่"/"ไม่ค่อย" in front of a term flips it (ไม่ชอบ, ไม่ยากเกินไป)
+const SENTIMENT_LEXICON = {
+  positive: [
+    'ดี', 'ดีมาก', 'ชอบ', 'สนุก', 'เข้าใจง่าย', 'ชัดเจน', 'ประทับใจ', 'ขอบคุณ', 'เยี่ยม', 'เก่ง', 'ตั้งใจ',
+    'ใจดี', 'เป็นกันเอง', 'ละเอียด', 'รับผิดชอบ', 'มีประโยชน์', 'ได้ความรู้', 'สุดยอด', 'good', 'great', 'excellent', 'thank'
+  ],
+  negative: [
+    'แย่', 'เข้าใจยาก', 'ยากเกินไป', 'น่าเบื่อ', 'เบื่อ', 'งง', 'เร็วเกินไป', 'ช้าเกินไป', 'เสียงเบา', 'มาสาย',
+    'ผิดหวัง', 'ไม่ตรงเวลา', 'bad', 'boring', 'confusing'
+  ]
+};
+const NEGATION_PREFIXES = ['ไม่ค่อย', 'ไม่'];
+
+// Comments for admins to approve, redact or hide; newest first
+function getModerationQueue(params) {
+  try {
+    console.log('=== Building moderation queue ===');
+    const source = params || {};
+    const filters = parseReportFilters(params);
+    const status = String(source.status || COMMENT_STATUS.PENDING);
+    if (status !== 'all' && !Object.values(COMMENT_STATUS).includes(status)) {
+      throw new Error('Invalid status: must be pending, approved, redacted, hidden or all');
+    }
+    const limit = parseInt(source.limit) || 100;
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const commented = filterEvaluationRecords(readEvaluationRecords(spreadsheet, getQuestionSchema(spreadsheet)), filters)
+      .filter(record => record.rawComment);
+    
+    const counts = {};
+    Object.values(COMMENT_STATUS).forEach(value => { counts[value] = 0; });
+    commented.forEach(record => { counts[record.moderation.status] = (counts[record.moderation.status] || 0) + 1; });
+    
+    const items = commented
+      .filter(record => status === 'all' || record.moderation.status === status)
+      .sort((a, b) => b.row - a.row)
+      .slice(0, limit)
+      .map(record => ({
+        submissionId: record.submissionId,
+        timestamp: record.timestamp,
+        course: record.course,
+        center: record.center,
+        week: record.week,
+        day: record.day,
+        period: record.period,
+        instructor1: record.instructor1,
+        instructor2: record.instructor2,
+        comment: record.rawComment,
+        visibleComment: record.comment,
+        suggestedRedaction: analyzeComment(record.rawComment).redacted,
+        status: record.moderation.status,
+        flags: record.moderation.flags,
+        sentiment: record.moderation.sentiment
+      }));
+    
+    return createSuccessResponse({
+      data: items,
+      counts: counts,
+      filters: filters,
+      moderationStatus: status,
+      message: 'Moderation queue retrieved successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error in getModerationQueue:', error);
+    return createErrorResponse('Failed to get moderation queue: ' + error.toString(), error.code);
+  }
+}
+
+// Sets the status of one or more comments; 'redacted' stores the given text or the automatic redaction
+function moderateComments(request) {
+  try {
+    console.log('=== Moderating comments ===');
+    
+    const submissionIds = (Array.isArray(request.submissionIds) ? request.submissionIds : [request.submissionId])
+      .map(id => String(id || '').trim())
+      .filter(Boolean);
+    if (submissionIds.length === 0) {
+      throw new Error('Missing required field: submissionIds');
+    }
+    if (submissionIds.length > MAX_MODERATION_BATCH) {
+      throw new Error(`Too many comments: maximum is ${MAX_MODERATION_BATCH}`);
+    }
+    
+    const status = String(request.status || '');
+    if (!Object.values(COMMENT_STATUS).includes(status)) {
+      throw new Error('Invalid status: must be pending, approved, redacted or hidden');
+    }
+    const text = request.text === undefined || request.text === null ? '' : String(request.text).trim();
+    if (text && (status !== COMMENT_STATUS.REDACTED || submissionIds.length > 1)) {
+      throw new Error('Redacted text can only be given when redacting a single comment');
+    }
+    if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+      throw new Error(`Redacted text must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`);
+    }
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const evaluationSheet = spreadsheet.getSheetByName('evaluation');
+    if (!evaluationSheet) {
+      throw createAppError('NOT_FOUND', 'No evaluations recorded yet');
+    }
+    const questions = getQuestionSchema(spreadsheet);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      const columns = ensureColumns(evaluationSheet, [SUBMISSION_ID_HEADER].concat(MODERATION_HEADERS));
+      const records = parseEvaluationRecords(evaluationSheet.getDataRange().getValues(), questions);
+      const bySubmission = {};
+      records.forEach(record => { if (record.submissionId) bySubmission[record.submissionId] = record; });
+      
+      const missing = submissionIds.filter(id => !bySubmission[id] || !bySubmission[id].rawComment);
+      if (missing.length > 0) {
+        throw createAppError('NOT_FOUND', 'No comment found for: ' + missing.slice(0, 10).join(', '));
+      }
+      
+      const before = [];
+      const after = [];
+      submissionIds.forEach(id => {
+        const record = bySubmission[id];
+        const redacted = status === COMMENT_STATUS.REDACTED ? (text || analyzeComment(record.rawComment).redacted) : '';
+        evaluationSheet.getRange(record.row, columns['สถานะความคิดเห็น']).setValue(status);
+        evaluationSheet.getRange(record.row, columns['ความคิดเห็นที่ปิดบัง']).setValue(redacted);
+        before.push({ submissionId: id, status: record.moderation.status, comment: record.comment });
+        after.push({ submissionId: id, status: status, comment: getVisibleComment(record.rawComment, status, redacted) });
+      });
+      appendAuditEntry(spreadsheet, {
+        action: 'moderateComments',
+        sheet: 'evaluation',
+        rows: submissionIds.map(id => bySubmission[id].row),
+        before: before,
+        after: after
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Moderated comments:', status, submissionIds.length);
+    
+    return createSuccessResponse({
+      message: `อัปเดตสถานะความคิดเห็น ${submissionIds.length} รายการ`,
+      moderationStatus: status,
+      updated: submissionIds.length
+    });
+    
+  } catch (error) {
+    console.error('Error in moderateComments:', error);
+    return createErrorResponse('Failed to moderate comments: ' + error.toString(), error.code);
+  }
+}
+
+// { flags: ['profanity', 'phone', ...], sentiment: 'positive' | 'neutral' | 'negative', redacted: text }
+function analyzeComment(comment) {
+  const text = String(comment || '');
+  const flags = [];
+  
+  const profanity = findProfanity(text);
+  if (profanity.length > 0) flags.push('profanity');
+  PERSONAL_DATA_PATTERNS.forEach(({ flag, pattern }) => {
+    if (text.search(pattern) !== -1) flags.push(flag);
+  });
+  
+  // Mask from the end so earlier offsets stay valid; overlapping matches are masked once
+  let masked = text;
+  let lastStart = Infinity;
+  profanity.sort((a, b) => b.start - a.start).forEach(span => {
+    if (span.end > lastStart) return;
+    masked = masked.slice(0, span.start) + '***' + masked.slice(span.end);
+    lastStart = span.start;
+  });
+  
+  return {
+    flags: flags,
+    sentiment: scoreSentiment(text),
+    redacted: redactPersonalData(masked).trim()
+  };
+}
+
+// Returns the { start, end } offsets of every profane word
+function findProfanity(text) {
+  let scan = String(text).toLowerCase();
+  // Blanked to the same length so offsets still point into the original text
+  PROFANITY_EXCEPTIONS.forEach(word => { scan = scan.split(word).join(' '.repeat(word.length)); });
+  
+  const spans = [];
+  PROFANITY_WORDS.forEach(word => {
+    let index = scan.indexOf(word);
+    while (index !== -1) {
+      spans.push({ start: index, end: index + word.length });
+      index = scan.indexOf(word, index + word.length);
+    }
+  });
+  return spans;
+}
+
+function redactPersonalData(text) {
+  return PERSONAL_DATA_PATTERNS.reduce((result, { pattern, mask }) => result.replace(pattern, mask), text);
+}
+
+// Longest terms match first and are removed, so ดีมาก counts once and ไม่ดี is not also read as ดี
+function scoreSentiment(text) {
+  const terms = [];
+  [['positive', 1], ['negative', -1]].forEach(([type, weight]) => {
+    SENTIMENT_LEXICON[type].forEach(term => {
+      terms.push({ term: term, weight: weight });
+      NEGATION_PREFIXES.forEach(prefix => terms.push({ term: prefix + term, weight: -weight }));
+    });
+  });
+  terms.sort((a, b) => b.term.length - a.term.length);
+  
+  let remaining = String(text).toLowerCase();
+  let score = 0;
+  terms.forEach(({ term, weight }) => {
+    const parts = remaining.split(term);
+    score += weight * (parts.length - 1);
+    remaining = parts.join(' ');
+  });
+  
+  if (score > 0) return 'positive';
+  if (score < 0) return 'negative';
+  return 'neutral';
+}
+
+function joinTextAnswers(questions, answers) {
+  return questions
+    .filter(question => question.type === 'text')
+    .map(question => String(answers[question.id] || '').trim())
+    .filter(Boolean)
+    .join(' / ');
+}
+
+function getVisibleComment(rawComment, status, redactedComment) {
+  if (status === COMMENT_STATUS.APPROVED) return rawComment;
+  if (status === COMMENT_STATUS.REDACTED) return String(redactedComment || '');
+  return '';
+}
+
+// =============================================================================
+// 🎯 RESPONSE RATES - อัตราการตอบเทียบกับจำนวนผู้เรียน
+// =============================================================================
+
+// One entry per scheduled slot: evaluation rows against the enrolled count on the schedule
+function getResponseRates(params) {
+  try {
+    console.log('=== Building response rates ===');
+    const source = params || {};
+    const filters = parseReportFilters(params);
+    // Enrollment is recorded per slot, so only the slot filters apply
+    ['instructor', 'dateFrom', 'dateTo'].forEach(key => delete filters[key]);
+    
+    const target = source.target === undefined || source.target === '' ? RESPONSE_RATE_TARGET : Number(source.target);
+    if (isNaN(target) || target <= 0 || target > 1) {
+      throw new Error('Invalid target: must be a share between 0 and 1');
+    }
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    filters.course = resolveCourseId(spreadsheet, filters.course);
+    const questions = getQuestionSchema(spreadsheet);
+    
+    const slotKey = slot => [slot.center, slot.week, slot.day, slot.period].join('|');
+    const responses = {};
+    filterEvaluationRecords(readEvaluationRecords(spreadsheet, questions, filters.term), filters).forEach(record => {
+      responses[slotKey(record)] = (responses[slotKey(record)] || 0) + 1;
+    });
+    
+    const slots = filterEvaluationRecords(readInstructorRows(spreadsheet, filters.term), filters).map(row => {
+      const count = responses[slotKey(row)] || 0;
+      const rate = row.enrolled ? roundTo(count / row.enrolled, 2) : null;
+      return {
+        center: row.center,
+        week: row.week,
+        day: row.day,
+        period: row.period,
+        instructor1: row.instructor1,
+        instructor2: row.instructor2,
+        enrolled: row.enrolled,
+        responses: count,
+        rate: rate,
+        needsReminder: rate !== null && rate < target
+      };
+    });
+    
+    // Totals only count slots with an enrolled count, so the rate is not diluted by unknowns
+    const counted = slots.filter(slot => slot.enrolled);
+    const enrolled = counted.reduce((sum, slot) => sum + slot.enrolled, 0);
+    const countedResponses = counted.reduce((sum, slot) => sum + slot.responses, 0);
+    const scheduledKeys = {};
+    slots.forEach(slot => { scheduledKeys[slotKey(slot)] = true; });
+    const unscheduledResponses = Object.keys(responses)
+      .filter(key => !scheduledKeys[key])
+      .reduce((sum, key) => sum + responses[key], 0);
+    
+    console.log('Response rate slots:', slots.length, 'with enrollment:', counted.length);
+    
+    return createSuccessResponse({
+      data: {
+        overall: {
+          slots: slots.length,
+          slotsWithEnrollment: counted.length,
+          enrolled: enrolled,
+          responses: countedResponses,
+          rate: enrolled ? roundTo(countedResponses / enrolled, 2) : null,
+          needsReminder: slots.filter(slot => slot.needsReminder).length,
+          unscheduledResponses: unscheduledResponses
+        },
+        slots: slots
+      },
+      course: filters.course,
+      filters: filters,
+      target: target,
+      message: 'Response rates generated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error in getResponseRates:', error);
+    return createErrorResponse('Failed to build response rates: ' + error.toString(), error.code);
+  }
+}
+
+// =============================================================================
+// 📤 EXPORT - ส่งออกข้อมูลการประเมิน
+// =============================================================================
+
+function exportEvaluationsData(params) {
+  try {
+    console.log('=== Exporting evaluations ===');
+    
+    const format = String((params && params.format) || 'csv').toLowerCase();
+    if (format !== 'csv' && format !== 'json') {
+      throw new Error('Invalid format: must be csv or json');
+    }
+    
+    const filters = parseReportFilters(params);
+    const table = buildEvaluationExport(SpreadsheetApp.getActive(), filters);
+    
+    console.log('Export rows:', table.rows.length, 'format:', format);
+    
+    if (format === 'json') {
+      return createSuccessResponse({
+        data: table,
+        filters: filters,
+        recordCount: table.rows.length
+      });
+    }
+    
+    const fileName = `evaluation_export_${Utilities.formatDate(new Date(), 'Asia/Bangkok', 'yyyyMMdd_HHmmss')}.csv`;
+    return ContentService
+      .createTextOutput(toCsv([table.headers].concat(table.rows)))
+      .setMimeType(ContentService.MimeType.CSV)
+      .downloadAsFile(fileName);
+    
+  } catch (error) {
+    console.error('Error in exportEvaluationsData:', error);
+    return createErrorResponse('Failed to export evaluations: ' + error.toString(), error.code);
+  }
+}
+
+// Sheet columns as-is (minus internal ones) for the rows matching the filters
+function buildEvaluationExport(spreadsheet, filters) {
+  const evaluationSheet = getTermSheet(spreadsheet, 'evaluation', filters.term);
+  if (!evaluationSheet) {
+    return { headers: [], rows: [] };
+  }
+  
+  const data = evaluationSheet.getDataRange().getValues();
+  const questions = getQuestionSchema(spreadsheet);
+  const registryIndex = buildRegistryIndex(readInstructorRegistry(spreadsheet));
+  const records = filterEvaluationRecords(
+    applyInstructorRegistry(parseEvaluationRecords(data, questions), registryIndex), filters);
+  
+  const exportColumns = data[0]
+    .map((header, index) => ({ header: String(header), index: index }))
+    .filter(column => column.header && column.header !== IDEMPOTENCY_HEADER && column.header !== 'ความคิดเห็นที่ปิดบัง');
+  const textColumns = questions.filter(question => question.type === 'text').map(question => question.column);
+  
+  // Free text is exported as moderated: as written when approved, the redacted text
+  // (which covers all text answers) in the first text column when redacted, otherwise blank
+  const cell = (record, column) => {
+    if (!textColumns.includes(column.header) || record.moderation.status === COMMENT_STATUS.APPROVED) {
+      return formatExportValue(data[record.row - 1][column.index]);
+    }
+    return column.header === textColumns[0] ? record.comment : '';
+  };
+  
+  return {
+    headers: exportColumns.map(column => column.header),
+    rows: records.map(record => exportColumns.map(column => cell(record, column)))
+  };
+}
+
+function formatExportValue(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss');
+  }
+  return value === null || value === undefined ? '' : value;
+}
+
+// RFC 4180: CRLF line breaks, quoted fields with doubled quotes; BOM so Excel reads UTF-8 Thai
+function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  
+  // Keep spreadsheet apps from running student-entered text as formulas
+  if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+    text = "'" + text;
+  }
+  
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// =============================================================================
+// 🔌 SERVICE ADAPTERS - อีเมลและ Trigger (เปลี่ยนเป็น stub ได้ตอนทดสอบ)
+// =============================================================================
+
+let serviceAdapters = createDefaultServiceAdapters();
+
+function createDefaultServiceAdapters() {
+  return {
+    mail: {
+      send: message => MailApp.sendEmail(message)
+    },
+    triggers: {
+      installWeekly: (handler, weekDay, hour) => ScriptApp.newTrigger(handler)
+        .timeBased()
+        .onWeekDay(ScriptApp.WeekDay[weekDay])
+        .atHour(hour)
+        .create(),
+      remove: handler => ScriptApp.getProjectTriggers()
+        .filter(trigger => trigger.getHandlerFunction() === handler)
+        .forEach(trigger => ScriptApp.deleteTrigger(trigger))
+    }
+  };
+}
+
+// Replace mail/trigger implementations, e.g. setServiceAdapters({ mail: { send: message => sent.push(message) } })
+function setServiceAdapters(adapters) {
+  serviceAdapters = Object.assign(createDefaultServiceAdapters(), adapters || {});
+  return serviceAdapters;
+}
+
+// =============================================================================
+// 📧 WEEKLY SUMMARIES - สรุปผลรายสัปดาห์ทางอีเมล
+// =============================================================================
+
+// Teaching happens on weekends, so the summary goes out on Monday morning
+function installWeeklySummaryTrigger() {
+  serviceAdapters.triggers.remove(SUMMARY_TRIGGER_HANDLER);
+  serviceAdapters.triggers.installWeekly(SUMMARY_TRIGGER_HANDLER, 'MONDAY', 8);
+  console.log('Weekly summary trigger installed (Monday 08:00)');
+}
+
+function removeWeeklySummaryTrigger() {
+  serviceAdapters.triggers.remove(SUMMARY_TRIGGER_HANDLER);
+  console.log('Weekly summary trigger removed');
+}
+
+// Called by the trigger (with an event object) or manually with { dateFrom, dateTo }
+function sendWeeklySummaries(options) {
+  const spreadsheet = SpreadsheetApp.getActive();
+  const period = resolveSummaryPeriod(options);
+  console.log('=== Sending weekly summaries ===', period);
+  
+  const questions = getQuestionSchema(spreadsheet);
+  const criteria = getRatingCriteria(questions);
+  const criteriaLabels = getCriteriaLabels(questions);
+  const records = filterEvaluationRecords(readEvaluationRecords(spreadsheet, questions), period);
+  const slots = readInstructorRows(spreadsheet);
+  const recipients = readRecipients(spreadsheet).filter(recipient => recipient.type !== RECIPIENT_TYPES.ADMIN);
+  const result = { period: period, records: records.length, sent: 0, skipped: 0 };
+  
+  recipients.forEach(recipient => {
+    // Same rule for evaluation records and scheduled slots
+    const belongsToRecipient = item => {
+      if (recipient.course && item.course !== recipient.course) return false;
+      if (recipient.type === RECIPIENT_TYPES.COORDINATOR) return item.center === recipient.center;
+      return item.instructor1 === recipient.name || item.instructor2 === recipient.name;
+    };
+    // Instructors get their own ratings from co-taught slots
+    const recipientRecords = records.filter(belongsToRecipient).map(record =>
+      recipient.type === RECIPIENT_TYPES.COORDINATOR
+        ? record
+        : instructorRecord(record, record.instructor1 === recipient.name ? '1' : '2'));
+    
+    // Nothing taught or evaluated for this recipient in the period
+    if (recipientRecords.length === 0) {
+      result.skipped++;
+      return;
+    }
+    
+    const summary = buildPeriodSummary(recipientRecords, slots.filter(belongsToRecipient), criteria);
+    const title = recipient.type === RECIPIENT_TYPES.COORDINATOR
+      ? `ศูนย์${recipient.center}`
+      : recipient.name;
+    
+    serviceAdapters.mail.send({
+      to: recipient.email,
+      subject: `สรุปผลการประเมินการสอน ${title} (${period.dateFrom} ถึง ${period.dateTo})`,
+      body: formatSummaryEmail(title, period, summary, criteria, criteriaLabels)
+    });
+    result.sent++;
+  });
+  
+  console.log('Weekly summaries done:', result);
+  return result;
+}
+
+function resolveSummaryPeriod(options) {
+  if (options && options.dateFrom && options.dateTo) {
+    return parseReportFilters({ dateFrom: options.dateFrom, dateTo: options.dateTo });
+  }
+  
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  return {
+    dateFrom: Utilities.formatDate(new Date(now - SUMMARY_LOOKBACK_DAYS * day), 'Asia/Bangkok', 'yyyy-MM-dd'),
+    dateTo: Utilities.formatDate(new Date(now - day), 'Asia/Bangkok', 'yyyy-MM-dd')
+  };
+}
+
+// Expected slots are the recipient's scheduled slots in the weeks that received evaluations
+function buildPeriodSummary(records, slots, criteria) {
+  const slotKey = item => [item.course, item.center, item.week, item.day, item.period].join('|');
+  const weekKey = item => [item.course, item.center, item.week].join('|');
+  
+  const evaluatedWeeks = new Set(records.map(weekKey));
+  const expectedSlots = slots.filter(slot => evaluatedWeeks.has(weekKey(slot)));
+  const respondedSlots = new Set(records.map(slotKey));
+  
+  return {
+    ...summarizeRatings(records, criteria),
+    expectedSlots: expectedSlots.length,
+    respondedSlots: expectedSlots.filter(slot => respondedSlots.has(slotKey(slot))).length,
+    comments: records
+      .map(record => anonymizeComment(record.comment))
+      .filter(Boolean)
+      .slice(0, SUMMARY_COMMENT_LIMIT)
+  };
+}
+
+// Strip contact details and ID-like numbers students sometimes type into comments
+function anonymizeComment(comment) {
+  return redactPersonalData(String(comment || '')).trim();
+}
+
+function formatSummaryEmail(title, period, summary, criteria, criteriaLabels) {
+  const lines = [
+    `สรุปผลการประเมินการสอน: ${title}`,
+    `ช่วงวันที่ ${period.dateFrom} ถึง ${period.dateTo}`,
+    '',
+    `จำนวนผู้ประเมิน: ${summary.responses} คน`,
+    `ช่วงการสอนที่มีผู้ประเมิน: ${summary.respondedSlots} / ${summary.expectedSlots} ช่วง`,
+    `คะแนนเฉลี่ยรวม: ${summary.overallMean === null ? '-' : summary.overallMean} / 5`,
+    '',
+    'คะแนนเฉลี่ยรายหัวข้อ:'
+  ];
+  
+  criteria.forEach(field => {
+    const mean = summary.criteria[field].mean;
+    lines.push(`- ${criteriaLabels[field] || field}: ${mean === null ? '-' : mean}`);
+  });
+  
+  lines.push('', 'ข้อเสนอแนะ (ไม่ระบุตัวตน):');
+  if (summary.comments.length === 0) {
+    lines.push('- ไม่มีข้อเสนอแนะ');
+  } else {
+    summary.comments.forEach(comment => lines.push(`- ${comment}`));
+  }
+  
+  lines.push('', 'อีเมลนี้ส่งอัตโนมัติจากระบบประเมินการสอน');
+  return lines.join('\n');
+}
+
+function readRecipients(spreadsheet) {
+  const recipientsSheet = spreadsheet.getSheetByName('recipients') || createRecipientsSheet(spreadsheet);
+  const data = recipientsSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const recipients = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : String(data[i][columns[header]]).trim());
+    const type = value('ประเภท').toLowerCase();
+    const email = value('อีเมล');
+    
+    if (!email || !parseBoolean(value('เปิดใช้งาน'))) continue;
+    if (!Object.values(RECIPIENT_TYPES).includes(type)) {
+      console.warn(`Skipping recipient row ${i + 1}: unknown type ${type}`);
+      continue;
+    }
+    
+    recipients.push({
+      type: type,
+      name: value('ชื่อ'),
+      email: email,
+      center: value('ศูนย์'),
+      course: value('หลักสูตร')
+    });
+  }
+  
+  return recipients;
+}
+
+// =============================================================================
+// 🚨 ALERTS - แจ้งเตือนคะแนนต่ำ
+// =============================================================================
+
+function getAlerts(params) {
+  try {
+    const source = params || {};
+    const status = source.status ? String(source.status) : ALERT_STATUS.OPEN;
+    const limit = parseInt(source.limit) || 100;
+    
+    const alerts = readAlerts(SpreadsheetApp.getActive())
+      .filter(alert => status === 'all' || alert.status === status)
+      .reverse()
+      .slice(0, limit);
+    
+    return createSuccessResponse({
+      data: alerts,
+      status: status,
+      recordCount: alerts.length
+    });
+    
+  } catch (error) {
+    console.error('Error in getAlerts:', error);
+    return createErrorResponse('Failed to get alerts: ' + error.toString(), error.code);
+  }
+}
+
+function acknowledgeAlert(request) {
+  try {
+    if (!request.alertKey) {
+      throw new Error('Missing required field: alertKey');
+    }
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const alertsSheet = getAlertsSheet(spreadsheet);
+    const alert = readAlerts(spreadsheet).find(item => item.key === request.alertKey);
+    if (!alert) {
+      throw createAppError('NOT_FOUND', `Alert not found: ${request.alertKey}`);
+    }
+    
+    const columns = getHeaderIndexes(alertsSheet.getRange(1, 1, 1, alertsSheet.getLastColumn()).getValues()[0]);
+    alertsSheet.getRange(alert.row, columns['สถานะ'] + 1).setValue(ALERT_STATUS.ACKNOWLEDGED);
+    appendAuditEntry(spreadsheet, {
+      action: 'acknowledgeAlert',
+      sheet: alertsSheet.getName(),
+      rows: [alert.row],
+      before: alert,
+      after: Object.assign({}, alert, { status: ALERT_STATUS.ACKNOWLEDGED })
+    });
+    
+    console.log('Alert acknowledged:', request.alertKey);
+    return createSuccessResponse({
+      message: 'รับทราบการแจ้งเตือนแล้ว',
+      alertKey: request.alertKey
+    });
+    
+  } catch (error) {
+    console.error('Error in acknowledgeAlert:', error);
+    return createErrorResponse('Failed to acknowledge alert: ' + error.toString(), error.code);
+  }
+}
+
+// Runs every active rule against the newly appended evaluation row
+function checkAlertsForSubmission(spreadsheet, rowNumber) {
+  const rules = readAlertRules(spreadsheet);
+  if (rules.length === 0) return [];
+  
+  const questions = getQuestionSchema(spreadsheet);
+  const criteria = getRatingCriteria(questions);
+  const criteriaLabels = getCriteriaLabels(questions);
+  const records = readEvaluationRecords(spreadsheet, questions);
+  const record = records.find(item => item.row === rowNumber);
+  if (!record) return [];
+  
+  let candidates = [];
+  rules.forEach(rule => {
+    switch (rule.type) {
+      case 'low-rating':
+        candidates = candidates.concat(checkLowRating(rule, record, criteria, criteriaLabels));
+        break;
+      case 'slot-average':
+        candidates = candidates.concat(checkSlotAverage(rule, record, records, criteria));
+        break;
+      case 'week-drop':
+        candidates = candidates.concat(checkWeekDrop(rule, record, records, criteria));
+        break;
+    }
+  });
+  
+  const created = appendAlerts(spreadsheet, candidates);
+  if (created.length > 0) {
+    notifyAdmins(spreadsheet, created);
+  }
+  return created;
+}
+
+function checkLowRating(rule, record, criteria, criteriaLabels) {
+  // Co-taught slots rated per instructor are checked per instructor, so a low rating isn't averaged away
+  const targets = record.instructorRatings && (record.ratedPerInstructor || (record.instructor1 && record.instructor2))
+    ? INSTRUCTOR_POSITIONS.map(position => ({
+      instructor: record['instructor' + position],
+      ratings: instructorRecord(record, position).ratings,
+      key: ['low-rating', rule.id, record.submissionId, position].join('|')
+    }))
+    : [{
+      instructor: [record.instructor1, record.instructor2].filter(Boolean).join(', '),
+      ratings: record.ratings,
+      key: ['low-rating', rule.id, record.submissionId].join('|')
+    }];
+  
+  return targets.map(target => {
+    const lowCriteria = criteria.filter(field => target.ratings[field] >= 1 && target.ratings[field] <= rule.threshold);
+    if (lowCriteria.length === 0) return null;
+    
+    return {
+      ...alertSlotFields(record),
+      rule: rule,
+      instructor: target.instructor,
+      value: Math.min(...lowCriteria.map(field => target.ratings[field])),
+      message: 'คะแนนต่ำ: ' + lowCriteria.map(field => `${criteriaLabels[field] || field} = ${target.ratings[field]}`).join(', '),
+      key: target.key
+    };
+  }).filter(Boolean);
+}
+
+function checkSlotAverage(rule, record, records, criteria) {
+  const slotRecords = records.filter(item => item.course === record.course && item.center === record.center &&
+    item.week === record.week && item.day === record.day && item.period === record.period);
+  if (slotRecords.length < rule.minResponses) return [];
+  
+  const mean = summarizeRatings(slotRecords, criteria).overallMean;
+  if (mean === null || mean >= rule.threshold) return [];
+  
+  return [{
+    ...alertSlotFields(record),
+    rule: rule,
+    instructor: [record.instructor1, record.instructor2].filter(Boolean).join(', '),
+    value: mean,
+    message: `ค่าเฉลี่ยช่วงการสอน ${mean} ต่ำกว่า ${rule.threshold} (${slotRecords.length} คำตอบ)`,
+    key: ['slot-average', rule.id, getAlertPeriodKey(records), record.course, record.center, record.week, record.day, record.period].join('|')
+  }];
+}
+
+function checkWeekDrop(rule, record, records, criteria) {
+  const week = parseInt(record.week);
+  const alerts = [];
+  
+  [record.instructor1, record.instructor2].filter(Boolean).forEach(instructor => {
+    const weekMean = targetWeek => {
+      const weekRecords = records
+        .filter(item => item.course === record.course && parseInt(item.week) === targetWeek &&
+          (item.instructor1 === instructor || item.instructor2 === instructor))
+        .map(item => instructorRecord(item, item.instructor1 === instructor ? '1' : '2'));
+      return weekRecords.length >= rule.minResponses ? summarizeRatings(weekRecords, criteria).overallMean : null;
+    };
+    
+    const current = weekMean(week);
+    const previous = weekMean(week - 1);
+    if (current === null || previous === null) return;
+    
+    const drop = roundTo(previous - current, 2);
+    if (drop < rule.threshold) return;
+    
+    alerts.push({
+      ...alertSlotFields(record),
+      day: '',
+      period: '',
+      rule: rule,
+      instructor: instructor,
+      value: drop,
+      message: `ค่าเฉลี่ยลดลงจาก ${previous} (สัปดาห์ ${week - 1}) เป็น ${current} (สัปดาห์ ${week})`,
+      key: ['week-drop', rule.id, getAlertPeriodKey(records), record.course, instructor, week].join('|')
+    });
+  });
+  
+  return alerts;
+}
+
+// Slots and weeks repeat once closeTerm or clearAllEvaluations empties the sheet, so keys for
+// them include the first evaluation of the sheet (its SubmissionId, else its Timestamp)
+function getAlertPeriodKey(records) {
+  const first = records[0];
+  if (!first) return '';
+  if (first.submissionId) return first.submissionId;
+  return first.timestamp instanceof Date ? first.timestamp.toISOString() : String(first.timestamp);
+}
+
+function alertSlotFields(record) {
+  return {
+    course: record.course,
+    center: record.center,
+    week: record.week,
+    day: record.day,
+    period: record.period
+  };
+}
+
+// Each alert key is written at most once, acknowledged or not, so a condition is reported once.
+// Keys are read and appended under the lock so concurrent submissions can't both raise it.
+function appendAlerts(spreadsheet, candidates) {
+  if (candidates.length === 0) return [];
+  
+  const alertsSheet = getAlertsSheet(spreadsheet);
+  const now = Utilities.formatDate(new Date(), 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss');
+  const created = [];
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    const existingKeys = new Set(readAlerts(spreadsheet).map(alert => alert.key));
+    const columns = ensureColumns(alertsSheet, ALERTS_HEADERS);
+    
+    candidates.forEach(alert => {
+      if (existingKeys.has(alert.key)) return;
+      existingKeys.add(alert.key);
+      
+      alertsSheet.appendRow(buildRow(columns, {
+        'เวลา': now,
+        'รหัสกฎ': alert.rule.id,
+        'ประเภท': alert.rule.type,
+        'หลักสูตร': alert.course,
+        'ศูนย์': alert.center,
+        'สัปดาห์': alert.week,
+        'วัน': alert.day,
+        'ช่วงเวลา': alert.period,
+        'ผู้สอน': alert.instructor,
+        'ค่า': alert.value,
+        'รายละเอียด': alert.message,
+        'สถานะ': ALERT_STATUS.OPEN,
+        'AlertKey': alert.key
+      }));
+      created.push(alert);
+    });
+  } finally {
+    lock.releaseLock();
+  }
+  
+  console.log('Alerts created:', created.length);
+  return created;
+}
+
+function notifyAdmins(spreadsheet, alerts) {
+  const admins = readRecipients(spreadsheet).filter(recipient => recipient.type === RECIPIENT_TYPES.ADMIN);
+  if (admins.length === 0) return;
+  
+  const lines = alerts.map(alert =>
+    `- [${alert.rule.type}] ${alert.center} สัปดาห์ ${alert.week} ${alert.day} ${alert.period} · ${alert.instructor}: ${alert.message}`);
+  
+  serviceAdapters.mail.send({
+    to: admins.map(admin => admin.email).join(','),
+    subject: `⚠️ แจ้งเตือนคะแนนประเมินต่ำ (${alerts.length} รายการ)`,
+    body: ['พบการแจ้งเตือนใหม่จากระบบประเมินการสอน:', ''].concat(lines, ['', 'ดูรายละเอียดได้ที่หน้าผู้ดูแลระบบ']).join('\n')
+  });
+}
+
+function readAlertRules(spreadsheet) {
+  const rulesSheet = spreadsheet.getSheetByName('alertRules') || createAlertRulesSheet(spreadsheet);
+  const data = rulesSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const rules = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    const id = value('รหัสกฎ');
+    const type = String(value('ประเภท')).trim();
+    if (!id || !parseBoolean(value('เปิดใช้งาน'))) continue;
+    
+    if (!ALERT_RULE_TYPES.includes(type)) {
+      console.warn(`Skipping alert rule row ${i + 1}: unknown type ${type}`);
+      continue;
+    }
+    
+    rules.push({
+      id: String(id),
+      type: type,
+      threshold: Number(value('เกณฑ์')),
+      minResponses: parseInt(value('จำนวนขั้นต่ำ')) || 1
+    });
+  }
+  
+  return rules;
+}
+
+function readAlerts(spreadsheet) {
+  const alertsSheet = spreadsheet.getSheetByName('alerts');
+  if (!alertsSheet) return [];
+  
+  const data = alertsSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const alerts = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    if (!value('AlertKey')) continue;
+    
+    alerts.push({
+      row: i + 1,
+      key: String(value('AlertKey')),
+      createdAt: formatExportValue(value('เวลา')),
+      ruleId: String(value('รหัสกฎ')),
+      type: String(value('ประเภท')),
+      course: String(value('หลักสูตร')),
+      center: String(value('ศูนย์')),
+      week: String(value('สัปดาห์')),
+      day: String(value('วัน')),
+      period: String(value('ช่วงเวลา')),
+      instructor: String(value('ผู้สอน')),
+      value: value('ค่า'),
+      message: String(value('รายละเอียด')),
+      status: String(value('สถานะ') || ALERT_STATUS.OPEN)
+    });
+  }
+  
+  return alerts;
+}
+
+function getAlertsSheet(spreadsheet) {
+  return spreadsheet.getSheetByName('alerts') || createAlertsSheet(spreadsheet);
+}
+
+// =============================================================================
+// 🗂️ TERM ARCHIVE - ปิดภาคเรียนและเก็บข้อมูลถาวร
+// =============================================================================
+
+function getTerms() {
+  try {
+    const terms = readTerms(SpreadsheetApp.getActive());
+    
+    return createSuccessResponse({
+      data: terms,
+      recordCount: terms.length
+    });
+    
+  } catch (error) {
+    console.error('Error in getTerms:', error);
+    return createErrorResponse('Failed to get terms: ' + error.toString(), error.code);
+  }
+}
+
+// Copies the term's sheets to <sheet>_<term> and empties them; keepSchedule carries
+// the schedule over (still archived) for a term that reuses it
+function closeTerm(request) {
+  try {
+    console.log('=== Closing term ===');
+    
+    const options = request || {};
+    const termId = options.term ? parseTermId(options.term) : Utilities.formatDate(new Date(), 'Asia/Bangkok', 'yyyy-MM-dd');
+    const name = String(options.name || '').trim() || termId;
+    const keepSchedule = parseBoolean(options.keepSchedule);
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const termsSheet = getTermsSheet(spreadsheet);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    let term;
+    const counts = {};
+    try {
+      const existing = readTerms(spreadsheet).find(item => item.id === termId);
+      if (existing && existing.status === TERM_STATUS.ARCHIVED) {
+        throw createAppError('DUPLICATE', `Term already archived: ${termId}`);
+      }
+      const clash = TERM_SHEETS.map(sheetName => getArchiveSheetName(sheetName, termId))
+        .find(sheetName => spreadsheet.getSheetByName(sheetName));
+      if (clash) {
+        throw createAppError('DUPLICATE', `Sheet already exists: ${clash}`);
+      }
+      
+      // Every archive is filled and the term recorded before any sheet is emptied; a failure
+      // on the way removes the archive sheets again so the close can simply be retried
+      try {
+        TERM_SHEETS.forEach(sheetName => {
+          const sheet = spreadsheet.getSheetByName(sheetName);
+          if (!sheet) return;
+          counts[sheetName] = archiveTermSheet(spreadsheet, sheet, termId);
+        });
+        
+        term = {
+          id: termId,
+          name: name,
+          status: TERM_STATUS.ARCHIVED,
+          closedAt: Utilities.formatDate(new Date(), 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss'),
+          closedBy: getAuditActor().username,
+          evaluations: counts.evaluation || 0,
+          slots: counts.instructors || 0,
+          restoredAt: ''
+        };
+        const columns = ensureColumns(termsSheet, TERMS_HEADERS);
+        const rowData = buildRow(columns, {
+          'รหัสภาคเรียน': term.id,
+          'ชื่อภาคเรียน': term.name,
+          'สถานะ': term.status,
+          'ปิดเมื่อ': term.closedAt,
+          'ปิดโดย': term.closedBy,
+          'จำนวนแบบประเมิน': term.evaluations,
+          'จำนวนช่วงการสอน': term.slots,
+          'คืนค่าเมื่อ': ''
+        });
+        // A restored term that is closed again reuses its row
+        if (existing) {
+          termsSheet.getRange(existing.row, 1, 1, rowData.length).setValues([rowData]);
+        } else {
+          termsSheet.appendRow(rowData);
+        }
+      } catch (error) {
+        TERM_SHEETS.map(sheetName => spreadsheet.getSheetByName(getArchiveSheetName(sheetName, termId)))
+          .filter(Boolean)
+          .forEach(archive => spreadsheet.deleteSheet(archive));
+        throw error;
+      }
+      
+      Object.keys(counts).forEach(sheetName => {
+        if (counts[sheetName] === 0 || (keepSchedule && sheetName === 'instructors')) return;
+        spreadsheet.getSheetByName(sheetName).deleteRows(2, counts[sheetName]);
+      });
+      
+      appendAuditEntry(spreadsheet, {
+        action: 'closeTerm',
+        sheet: Object.keys(counts).join(', '),
+        details: { term: termId, keepSchedule: keepSchedule, archivedRows: counts }
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Term closed:', termId, counts);
+    
+    return createSuccessResponse({
+      message: 'ปิดภาคเรียนและเก็บข้อมูลถาวรสำเร็จ',
+      term: term,
+      counts: counts
+    });
+    
+  } catch (error) {
+    console.error('Error in closeTerm:', error);
+    return createErrorResponse('Failed to close term: ' + error.toString(), error.code);
+  }
+}
+
+// Appends the archived rows back to the current sheets and removes the archive sheets.
+// Archived slots already scheduled the same way are skipped; scheduled differently, they are a CONFLICT.
+function restoreTerm(request) {
+  try {
+    console.log('=== Restoring term ===');
+    
+    if (!request.term) {
+      throw new Error('Missing required field: term');
+    }
+    const termId = parseTermId(request.term);
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const termsSheet = getTermsSheet(spreadsheet);
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    const counts = {};
+    try {
+      const term = readTerms(spreadsheet).find(item => item.id === termId && item.status === TERM_STATUS.ARCHIVED);
+      if (!term) {
+        throw createAppError('NOT_FOUND', `Archived term not found: ${termId}`);
+      }
+      
+      const slotKey = slot => [slot.course, slot.center, slot.week, slot.day, slot.period].join('|');
+      const current = {};
+      readInstructorRows(spreadsheet).forEach(row => { current[slotKey(row)] = row; });
+      const archivedSlots = readInstructorRows(spreadsheet, termId);
+      const conflicts = archivedSlots.filter(row =>
+        current[slotKey(row)] && computeSlotVersion(current[slotKey(row)]) !== computeSlotVersion(row));
+      if (conflicts.length > 0) {
+        throw createAppError('CONFLICT', 'Slots are already scheduled differently: ' +
+          conflicts.slice(0, 10).map(row => `${row.center} สัปดาห์ ${row.week} ${row.day} ${row.period}`).join(', '));
+      }
+      const alreadyScheduled = new Set(archivedSlots.filter(row => current[slotKey(row)]).map(row => row.row));
+      
+      TERM_SHEETS.forEach(sheetName => {
+        const archive = spreadsheet.getSheetByName(getArchiveSheetName(sheetName, termId));
+        if (!archive) return;
+        const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+        const skipRow = sheetName === 'instructors' ? row => alreadyScheduled.has(row) : () => false;
+        counts[sheetName] = restoreArchivedRows(sheet, archive, skipRow);
+        spreadsheet.deleteSheet(archive);
+      });
+      
+      const columns = ensureColumns(termsSheet, TERMS_HEADERS);
+      termsSheet.getRange(term.row, columns['สถานะ']).setValue(TERM_STATUS.RESTORED);
+      termsSheet.getRange(term.row, columns['คืนค่าเมื่อ'])
+        .setValue(Utilities.formatDate(new Date(), 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss'));
+      
+      appendAuditEntry(spreadsheet, {
+        action: 'restoreTerm',
+        sheet: Object.keys(counts).join(', '),
+        details: { term: termId, restoredRows: counts }
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+    console.log('Term restored:', termId, counts);
+    
+    return createSuccessResponse({
+      message: 'คืนค่าข้อมูลภาคเรียนสำเร็จ',
+      term: termId,
+      counts: counts
+    });
+    
+  } catch (error) {
+    console.error('Error in restoreTerm:', error);
+    return createErrorResponse('Failed to restore term: ' + error.toString(), error.code);
+  }
+}
+
+// Copies the sheet to its archive and returns the number of data rows; caller must hold the script lock
+function archiveTermSheet(spreadsheet, sheet, termId) {
+  const data = sheet.getDataRange().getValues();
+  const archive = spreadsheet.insertSheet(getArchiveSheetName(sheet.getName(), termId));
+  if (data[0].length === 0) return 0;
+  
+  archive.getRange(1, 1, data.length, data[0].length).setValues(data);
+  archive.getRange(1, 1, 1, data[0].length).setFontWeight('bold');
+  return data.length - 1;
+}
+
+// Maps columns by header, so archives from before a migration land in the right columns
+function restoreArchivedRows(sheet, archive, skipRow) {
+  const data = archive.getDataRange().getValues();
+  const headers = data[0].map(header => String(header).trim());
+  const columns = ensureColumns(sheet, headers.filter(Boolean));
+  
+  const rows = [];
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    if (skipRow(i + 1)) continue;
+    const values = {};
+    headers.forEach((header, index) => {
+      if (header) values[header] = data[i][index];
+    });
+    rows.push(buildRow(columns, values));
+  }
+  
+  if (rows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+  }
+  return rows.length;
+}
+
+// Without a term, the current sheet; with one, that term's archive (null if it had no such sheet)
+function getTermSheet(spreadsheet, sheetName, term) {
+  if (!term) {
+    return spreadsheet.getSheetByName(sheetName);
+  }
+  
+  const archived = readTerms(spreadsheet).some(item => item.id === term && item.status === TERM_STATUS.ARCHIVED);
+  if (!archived) {
+    throw createAppError('NOT_FOUND', `Archived term not found: ${term}`);
+  }
+  return spreadsheet.getSheetByName(getArchiveSheetName(sheetName, term));
+}
+
+function getArchiveSheetName(sheetName, termId) {
+  return `${sheetName}_${termId}`;
+}
+
+function parseTermId(term) {
+  const termId = String(term || '').trim();
+  if (!TERM_ID_PATTERN.test(termId)) {
+    throw new Error('Invalid term: use up to 30 letters, digits, - or _');
+  }
+  return termId;
+}
+
+function readTerms(spreadsheet) {
+  const termsSheet = spreadsheet.getSheetByName('terms');
+  if (!termsSheet) return [];
+  
+  const data = termsSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const terms = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    if (!value('รหัสภาคเรียน')) continue;
+    
+    terms.push({
+      row: i + 1,
+      id: String(value('รหัสภาคเรียน')),
+      name: String(value('ชื่อภาคเรียน') || value('รหัสภาคเรียน')),
+      status: String(value('สถานะ') || TERM_STATUS.ARCHIVED),
+      closedAt: formatExportValue(value('ปิดเมื่อ')),
+      closedBy: String(value('ปิดโดย')),
+      evaluations: Number(value('จำนวนแบบประเมิน')) || 0,
+      slots: Number(value('จำนวนช่วงการสอน')) || 0,
+      restoredAt: formatExportValue(value('คืนค่าเมื่อ'))
+    });
+  }
+  
+  return terms;
+}
+
+function getTermsSheet(spreadsheet) {
+  return spreadsheet.getSheetByName('terms') || createTermsSheet(spreadsheet);
+}
+
+// =============================================================================
+// 💾 BACKUP & RESTORE - สำรองและกู้คืนข้อมูลทั้งระบบ
+// =============================================================================
+
+// Every sheet, term archives included. Script properties (admin users, API keys,
+// session secret) are credentials and stay out of the file.
+function createBackup(identity) {
+  try {
+    console.log('=== Creating backup ===');
+    
+    const spreadsheet = SpreadsheetApp.getActive();
+    const sheets = {};
+    let rowCount = 0;
+    
+    spreadsheet.getSheets().forEach(sheet => {
+      const data = sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [];
+      sheets[sheet.getName()] = data.map(row => row.map(serializeBackupCell));
+      rowCount += Math.max(0, data.length - 1);
+    });
+    
+    const backup = {
+      format: BACKUP_FORMAT,
+      schemaVersion: getSchemaVersion(spreadsheet),
+      createdAt: new Date().toISOString(),
+      createdBy: (identity || getAuditActor()).username,
+      spreadsheet: spreadsheet.getName(),
+      sheets: sheets
+    };
+    
+    console.log(`Backup created: ${Object.keys(sheets).length} sheets, ${rowCount} rows`);
+    
+    return createSuccessResponse({
+      message: 'สำรองข้อมูลสำเร็จ',
+      backup: backup,
+      sheetCount: Object.keys(sheets).length,
+      rowCount: rowCount
+    });
+    
+  } catch (error) {
+    console.error('Error in createBackup:', error);
+    return createErrorResponse('Failed to create backup: ' + error.toString(), error.code);
+  }
+}
+
+// Replaces every sheet with the backup's and deletes sheets the backup does not have.
+// dryRun only validates and returns the per-sheet changes; older backups are migrated afterwards.
+function restoreBackup(request) {
+  try {
+    console.log('=== Restoring backup ===', request.dryRun ? '(dry run)' : '');
+    
+    const backup = parseBackup(request.backup);
+    const spreadsheet = SpreadsheetApp.getActive();
+    
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    let changes;
+    try {
+      changes = diffBackup(spreadsheet, backup);
+      
+      if (!request.dryRun) {
+        Object.entries(backup.sheets).forEach(([sheetName, rows]) => {
+          if (BACKUP_KEPT_SHEETS.includes(sheetName)) return;
+          writeBackupSheet(spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName), rows);
+        });
+        // Sheets are replaced before any is deleted, so the spreadsheet never runs out of sheets
+        spreadsheet.getSheets()
+          .filter(sheet => !(sheet.getName() in backup.sheets) && !BACKUP_KEPT_SHEETS.includes(sheet.getName()))
+          .forEach(sheet => spreadsheet.deleteSheet(sheet));
+        setMetaValue(spreadsheet, 'schemaVersion', backup.schemaVersion);
+        
+        appendAuditEntry(spreadsheet, {
+          action: 'restore',
+          sheet: changes.filter(change => change.status !== 'unchanged' && change.status !== 'kept')
+            .map(change => change.sheet).join(', '),
+          details: {
+            createdAt: backup.createdAt,
+            createdBy: backup.createdBy,
+            schemaVersion: backup.schemaVersion,
+            changes: changes
+          }
+        });
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    
+    // runMigrations takes the lock itself
+    const migration = !request.dryRun && backup.schemaVersion < SCHEMA_VERSION ? runMigrations() : null;
+    
+    console.log('Restore result:', changes.length, 'sheets', request.dryRun ? '(dry run)' : '');
+    
+    return createSuccessResponse({
+      message: request.dryRun ? 'ตรวจสอบไฟล์สำรองข้อมูลสำเร็จ (ยังไม่กู้คืน)' : 'กู้คืนข้อมูลสำเร็จ',
+      dryRun: Boolean(request.dryRun),
+      backup: {
+        createdAt: backup.createdAt,
+        createdBy: backup.createdBy,
+        schemaVersion: backup.schemaVersion
+      },
+      schemaVersion: SCHEMA_VERSION,
+      changes: changes,
+      migration: migration
+    });
+    
+  } catch (error) {
+    console.error('Error in restoreBackup:', error);
+    return createErrorResponse('Failed to restore backup: ' + error.toString(), error.code);
+  }
+}
+
+// Accepts the backup object or its JSON text; every problem found is reported at once
+function parseBackup(input) {
+  let backup = input;
+  if (typeof input === 'string') {
+    try {
+      backup = JSON.parse(input);
+    } catch (error) {
+      throw createAppError('INVALID_BACKUP', 'Backup is not valid JSON');
+    }
+  }
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw createAppError('INVALID_BACKUP', 'Missing or unrecognized backup');
+  }
+  
+  const version = Number(backup.schemaVersion);
+  if (!Number.isInteger(version) || version < 1) {
+    throw createAppError('INVALID_BACKUP', 'Invalid schemaVersion: ' + backup.schemaVersion);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw createAppError('INVALID_BACKUP',
+      `Backup is from schema v${version}, newer than this script (v${SCHEMA_VERSION}); update the script first`);
+  }
+  if (!backup.sheets || typeof backup.sheets !== 'object' || Array.isArray(backup.sheets) ||
+      Object.keys(backup.sheets).length === 0) {
+    throw createAppError('INVALID_BACKUP', 'Backup has no sheets');
+  }
+  
+  const errors = [];
+  const sheets = {};
+  Object.entries(backup.sheets).forEach(([sheetName, rows]) => {
+    if (!sheetName.trim() || sheetName.length > 100) {
+      errors.push(`Invalid sheet name: "${sheetName}"`);
+      return;
+    }
+    if (!Array.isArray(rows) || rows.some(row => !Array.isArray(row))) {
+      errors.push(`${sheetName}: rows must be arrays`);
+      return;
+    }
+    if (rows.some(row => row.some(cell => !isBackupCell(cell)))) {
+      errors.push(`${sheetName}: cells must be text, numbers, booleans or dates`);
+      return;
+    }
+    
+    const required = BACKUP_REQUIRED_HEADERS[sheetName];
+    if (required && version === SCHEMA_VERSION) {
+      const headers = (rows[0] || []).map(header => String(header).trim());
+      const missing = required.filter(header => !headers.includes(header));
+      if (missing.length > 0) {
+        errors.push(`${sheetName}: missing columns ${missing.join(', ')}`);
+      }
+    }
+    sheets[sheetName] = rows;
+  });
+  
+  if (errors.length > 0) {
+    throw createAppError('INVALID_BACKUP', errors.slice(0, 10).join('; ') +
+      (errors.length > 10 ? ` (and ${errors.length - 10} more)` : ''));
+  }
+  
+  return {
+    schemaVersion: version,
+    createdAt: String(backup.createdAt || ''),
+    createdBy: String(backup.createdBy || ''),
+    sheets: sheets
+  };
+}
+
+// One entry per sheet in either the spreadsheet or the backup; rows are matched by content
+function diffBackup(spreadsheet, backup) {
+  const current = {};
+  spreadsheet.getSheets().forEach(sheet => {
+    const data = sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [];
+    current[sheet.getName()] = data.map(row => row.map(serializeBackupCell));
+  });
+  
+  const sheetNames = Object.keys(current).concat(Object.keys(backup.sheets).filter(name => !(name in current)));
+  return sheetNames.map(sheetName => {
+    const before = current[sheetName];
+    const after = backup.sheets[sheetName];
+    const change = {
+      sheet: sheetName,
+      status: '',
+      currentRows: before ? Math.max(0, before.length - 1) : 0,
+      backupRows: after ? Math.max(0, after.length - 1) : 0,
+      added: 0,
+      removed: 0,
+      headersChanged: false
+    };
+    
+    if (BACKUP_KEPT_SHEETS.includes(sheetName)) {
+      change.status = 'kept';
+      return change;
+    }
+    if (!before || !after) {
+      change.status = before ? 'removed' : 'added';
+      change.added = change.backupRows;
+      change.removed = change.currentRows;
+      return change;
+    }
+    
+    // Trailing blank cells are not part of the content
+    const rowKey = row => JSON.stringify(row.slice(0, row.reduce((last, cell, index) => (cell === '' || cell === null ? last : index + 1), 0)));
+    const remaining = {};
+    before.slice(1).forEach(row => {
+      const key = rowKey(row);
+      remaining[key] = (remaining[key] || 0) + 1;
+    });
+    after.slice(1).forEach(row => {
+      const key = rowKey(row);
+      if (remaining[key]) remaining[key]--;
+      else change.added++;
+    });
+    change.removed = Object.values(remaining).reduce((sum, count) => sum + count, 0);
+    change.headersChanged = rowKey(before[0] || []) !== rowKey(after[0] || []);
+    change.status = change.added || change.removed || change.headersChanged ? 'changed' : 'unchanged';
+    return change;
+  });
+}
+
+// Caller must hold the script lock
+function writeBackupSheet(sheet, rows) {
+  sheet.clear();
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  if (rows.length === 0 || width === 0) return;
+  
+  const values = rows.map(row => {
+    const cells = row.map(deserializeBackupCell);
+    while (cells.length < width) cells.push('');
+    return cells;
+  });
+  sheet.getRange(1, 1, values.length, width).setValues(values);
+  sheet.getRange(1, 1, 1, width).setFontWeight('bold');
+}
+
+// Date cells become { date: ISO string } so they are restored as dates, not text
+function serializeBackupCell(value) {
+  return value instanceof Date ? { date: value.toISOString() } : value;
+}
+
+function deserializeBackupCell(value) {
+  return value && typeof value === 'object' ? new Date(value.date) : value;
+}
+
+function isBackupCell(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+  return typeof value === 'object' && typeof value.date === 'string' && !isNaN(new Date(value.date).getTime());
+}
+
+// =============================================================================
+// 📜 AUDIT LOG - บันทึกการแก้ไขข้อมูล
+// =============================================================================
+
+// Who the audit log credits for writes in this execution: doPost sets it from the request's
+// credential, runs from the spreadsheet menu or a trigger fall back to the Google account
+let auditActor = null;
+
+function getAuditLog(params) {
+  try {
+    const source = params || {};
+    const limit = Math.min(parseInt(source.limit) || 100, MAX_AUDIT_LOG_LIMIT);
+    const dates = parseReportFilters({ dateFrom: source.dateFrom, dateTo: source.dateTo });
+    
+    const entries = readAuditEntries(SpreadsheetApp.getActive());
+    // auditAction, since action already names the request
+    const filtered = entries
+      .filter(entry => !source.auditAction || entry.action === String(source.auditAction))
+      .filter(entry => !source.actor || entry.actor === String(source.actor))
+      .filter(entry => !source.sheet || entry.sheet.split(', ').includes(String(source.sheet)))
+      .filter(entry => !dates.dateFrom || (entry.date && entry.date >= dates.dateFrom))
+      .filter(entry => !dates.dateTo || (entry.date && entry.date <= dates.dateTo))
+      .reverse();
+    
+    return createSuccessResponse({
+      data: filtered.slice(0, limit),
+      recordCount: Math.min(filtered.length, limit),
+      totalCount: filtered.length,
+      // Choices for the viewer's filters
+      actions: Array.from(new Set(entries.map(entry => entry.action))).sort(),
+      actors: Array.from(new Set(entries.map(entry => entry.actor))).sort()
+    });
+    
+  } catch (error) {
+    console.error('Error in getAuditLog:', error);
+    return createErrorResponse('Failed to get audit log: ' + error.toString(), error.code);
+  }
+}
+
+// entry: { action, sheet, rows: [row numbers], before, after, details }; rows are where the
+// "after" state now is, or where the "before" state was for deletes. Auditing must never make
+// a completed write look failed, so errors are only logged.
+function appendAuditEntry(spreadsheet, entry) {
+  try {
+    const auditSheet = getAuditSheet(spreadsheet);
+    const columns = ensureColumns(auditSheet, AUDIT_HEADERS);
+    const actor = getAuditActor();
+    
+    auditSheet.appendRow(buildRow(columns, {
+      'เวลา': Utilities.formatDate(new Date(), 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss'),
+      'การดำเนินการ': entry.action,
+      'ผู้ดำเนินการ': actor.username,
+      'สิทธิ์': actor.role,
+      'แผ่นงาน': entry.sheet || '',
+      'แถว': formatAuditRows(entry.rows || []),
+      'ก่อน': formatAuditSnapshot(entry.before),
+      'หลัง': formatAuditSnapshot(entry.after),
+      'รายละเอียด': formatAuditSnapshot(entry.details)
+    }));
+  } catch (error) {
+    console.error('Audit entry failed:', entry.action, error);
+  }
+}
+
+function getAuditActor() {
+  if (auditActor) return auditActor;
+  
+  let email = '';
+  try {
+    email = Session.getActiveUser().getEmail();
+  } catch (error) {
+    console.warn('Could not read the active user:', error);
+  }
+  return { username: email || 'script', role: 'owner' };
+}
+
+// [2, 3, 4, 9] -> '2-4, 9'
+function formatAuditRows(rows) {
+  const sorted = rows.slice().sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach(row => {
+    const last = ranges[ranges.length - 1];
+    if (last && row === last[1] + 1) {
+      last[1] = row;
+    } else if (!last || row !== last[1]) {
+      ranges.push([row, row]);
+    }
+  });
+  return ranges.map(([from, to]) => (from === to ? String(from) : `${from}-${to}`)).join(', ');
+}
+
+function formatAuditSnapshot(value) {
+  if (value === undefined || value === null) return '';
+  
+  const json = JSON.stringify(value);
+  if (json.length <= MAX_AUDIT_SNAPSHOT_LENGTH) return json;
+  
+  if (!Array.isArray(value)) {
+    return JSON.stringify({ truncated: true, preview: json.slice(0, MAX_AUDIT_SNAPSHOT_LENGTH - 100) });
+  }
+  // Halve until the leading items fit; total says how many there were
+  let count = value.length;
+  let truncated;
+  do {
+    count = Math.floor(count / 2);
+    truncated = JSON.stringify({ truncated: true, total: value.length, items: value.slice(0, count) });
+  } while (count > 0 && truncated.length > MAX_AUDIT_SNAPSHOT_LENGTH);
+  return truncated;
+}
+
+function parseAuditSnapshot(cell) {
+  if (cell === '' || cell === null) return null;
+  try {
+    return JSON.parse(String(cell));
+  } catch (error) {
+    // Edited by hand in the sheet
+    return String(cell);
+  }
+}
+
+function readAuditEntries(spreadsheet) {
+  const auditSheet = spreadsheet.getSheetByName('audit');
+  if (!auditSheet) return [];
+  
+  const data = auditSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  const entries = [];
+  
+  for (let i = 1; i < data.length; i++) { // Skip header row
+    const value = header => (columns[header] === undefined ? '' : data[i][columns[header]]);
+    if (!value('การดำเนินการ')) continue;
+    
+    entries.push({
+      row: i + 1,
+      timestamp: formatExportValue(value('เวลา')),
+      date: getEvaluationDateKey(value('เวลา')),
+      action: String(value('การดำเนินการ')),
+      actor: String(value('ผู้ดำเนินการ')),
+      role: String(value('สิทธิ์')),
+      sheet: String(value('แผ่นงาน')),
+      rows: String(value('แถว')),
+      before: parseAuditSnapshot(value('ก่อน')),
+      after: parseAuditSnapshot(value('หลัง')),
+      details: parseAuditSnapshot(value('รายละเอียด'))
+    });
+  }
+  
+  return entries;
+}
+
+function getAuditSheet(spreadsheet) {
+  return spreadsheet.getSheetByName('audit') || createAuditSheet(spreadsheet);
+}
+
+// =============================================================================
+// 🗄️ SCHEMA MIGRATIONS - อัปเกรดโครงสร้างข้อมูล
+// =============================================================================
+
+// Spreadsheets without a meta sheet predate versioning and are treated as version 1
+// (instructors and evaluation without the course column, no IdempotencyKey).
+// Every step only adds columns or fills blanks, so re-running one is harmless.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add course column to instructors and evaluation',
+    run: spreadsheet => {
+      const instructorsSheet = spreadsheet.getSheetByName('instructors');
+      if (instructorsSheet) {
+        backfillColumn(instructorsSheet, 'หลักสูตร', DEFAULT_COURSE_ID);
+      }
+      const evaluationSheet = spreadsheet.getSheetByName('evaluation');
+      if (evaluationSheet) {
+        backfillColumn(evaluationSheet, 'หลักสูตร', DEFAULT_COURSE_ID);
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Add course column to evaluationTokens',
+    run: spreadsheet => {
+      const tokensSheet = spreadsheet.getSheetByName('evaluationTokens');
+      if (tokensSheet) {
+        ensureColumns(tokensSheet, TOKENS_HEADERS);
+        backfillColumn(tokensSheet, 'หลักสูตร', DEFAULT_COURSE_ID);
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Add IdempotencyKey column to evaluation',
+    run: spreadsheet => {
+      const evaluationSheet = spreadsheet.getSheetByName('evaluation');
+      if (evaluationSheet) {
+        ensureColumns(evaluationSheet, [IDEMPOTENCY_HEADER]);
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Add instructor ID columns to instructors and evaluation',
+    run: spreadsheet => {
+      // IDs are filled by matchInstructorNames once the registry is set up
+      ['instructors', 'evaluation'].forEach(name => {
+        const sheet = spreadsheet.getSheetByName(name);
+        if (sheet) ensureColumns(sheet, ['รหัสผู้สอน1', 'รหัสผู้สอน2']);
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add reference sheet and course week counts',
+    run: spreadsheet => {
+      if (!spreadsheet.getSheetByName('reference')) {
+        createReferenceSheet(spreadsheet);
+      }
+      const coursesSheet = spreadsheet.getSheetByName('courses');
+      if (coursesSheet) {
+        backfillColumn(coursesSheet, 'จำนวนสัปดาห์', COURSE_WEEKS);
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Add SubmissionId column to evaluation and the instructorRatings sheet',
+    run: spreadsheet => {
+      // Older rows keep an empty SubmissionId; reports fall back to their slot ratings
+      const evaluationSheet = spreadsheet.getSheetByName('evaluation');
+      if (evaluationSheet) {
+        ensureColumns(evaluationSheet, [SUBMISSION_ID_HEADER]);
+      }
+      getInstructorRatingsSheet(spreadsheet);
+    }
+  },
+  {
+    version: 8,
+    description: 'Add enrolled student count column to instructors',
+    run: spreadsheet => {
+      // Counts stay blank until attendance is entered; response rates skip those slots
+      const instructorsSheet = spreadsheet.getSheetByName('instructors');
+      if (instructorsSheet) {
+        ensureColumns(instructorsSheet, ['จำนวนผู้เรียน']);
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Add comment moderation columns to evaluation and screen existing comments',
+    run: spreadsheet => {
+      const evaluationSheet = spreadsheet.getSheetByName('evaluation');
+      if (!evaluationSheet) return;
+      
+      const columns = ensureColumns(evaluationSheet, [SUBMISSION_ID_HEADER].concat(MODERATION_HEADERS));
+      const questions = getQuestionSchema(spreadsheet);
+      const data = evaluationSheet.getDataRange().getValues();
+      if (data.length < 2) return;
+      
+      // Existing comments go through the same screening and wait for review like new ones;
+      // rows without a SubmissionId get one so they can be moderated
+      const read = (row, header) => row[columns[header] - 1];
+      const updates = { [SUBMISSION_ID_HEADER]: [], 'สถานะความคิดเห็น': [], 'ธงความคิดเห็น': [], 'ความรู้สึก': [] };
+      data.slice(1).forEach(row => {
+        const answers = {};
+        questions.forEach(question => {
+          answers[question.id] = columns[question.column] === undefined ? '' : read(row, question.column);
+        });
+        const comment = joinTextAnswers(questions, answers);
+        const screened = comment && !read(row, 'สถานะความคิดเห็น');
+        const screening = screened ? analyzeComment(comment) : null;
+        
+        updates[SUBMISSION_ID_HEADER].push([read(row, SUBMISSION_ID_HEADER) || Utilities.getUuid()]);
+        updates['สถานะความคิดเห็น'].push([screened ? COMMENT_STATUS.PENDING : read(row, 'สถานะความคิดเห็น')]);
+        updates['ธงความคิดเห็น'].push([screened ? screening.flags.join(',') : read(row, 'ธงความคิดเห็น')]);
+        updates['ความรู้สึก'].push([screened ? screening.sentiment : read(row, 'ความรู้สึก')]);
+      });
+      
+      Object.entries(updates).forEach(([header, values]) => {
+        evaluationSheet.getRange(2, columns[header], values.length, 1).setValues(values);
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Add the audit sheet',
+    run: spreadsheet => {
+      ensureColumns(getAuditSheet(spreadsheet), AUDIT_HEADERS);
+    }
+  },
+  {
+    version: 11,
+    description: 'Add the terms sheet',
+    run: spreadsheet => {
+      ensureColumns(getTermsSheet(spreadsheet), TERMS_HEADERS);
+    }
+  }
+];
+
+// Runs from onOpen and the menu; returns the versions before/after and the steps applied
+function runMigrations() {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    const spreadsheet = SpreadsheetApp.getActive();
+    const fromVersion = getSchemaVersion(spreadsheet);
+    const applied = [];
     
-    Object.entries(instructorsMap).forEach(([center, weeksObj]) => {
-      Object.entries(weeksObj).forEach(([week, daysObj]) => {
-        Object.entries(daysObj).forEach(([day, periodsObj]) => {
-          Object.entries(periodsObj).forEach(([period, instructors]) => {
-            dataToWrite.push([
-              center,
-              week,
-              day,
-              period,
-              instructors.instructor1 || '',
-              instructors.instructor2 || ''
-            ]);
-          });
-        });
+    MIGRATIONS
+      .filter(migration => migration.version > fromVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        console.log(`Migrating schema to v${migration.version}: ${migration.description}`);
+        migration.run(spreadsheet);
+        // Stored after each step so a failure resumes from the last completed one
+        setMetaValue(spreadsheet, 'schemaVersion', migration.version);
+        applied.push({ version: migration.version, description: migration.description });
       });
-    });
-    
-    console.log('Data to write:', dataToWrite.length, 'rows');
     
-    // Write data to sheet
-    if (dataToWrite.length > 0) {
-      instructorsSheet.getRange(2, 1, dataToWrite.length, 6).setValues(dataToWrite);
-      
-      // Format data
-      formatInstructorsSheet(instructorsSheet, dataToWrite.length);
+    if (applied.length > 0) {
+      setMetaValue(spreadsheet, 'migratedAt', Utilities.formatDate(new Date(), 'Asia/Bangkok', 'dd/MM/yyyy HH:mm:ss'));
+      appendAuditEntry(spreadsheet, {
+        action: 'runMigrations',
+        sheet: 'meta',
+        before: { schemaVersion: fromVersion },
+        after: { schemaVersion: getSchemaVersion(spreadsheet) },
+        details: { applied: applied }
+      });
     }
     
-    console.log('Successfully updated instructors sheet');
-    
-    return createSuccessResponse({
-      message: 'อัปเดตข้อมูลผู้สอนสำเร็จ',
-      rowsUpdated: dataToWrite.length
-    });
+    const toVersion = getSchemaVersion(spreadsheet);
+    console.log(`Schema version: ${fromVersion} -> ${toVersion}`);
+    return { fromVersion: fromVersion, toVersion: toVersion, applied: applied };
     
-  } catch (error) {
-    console.error('Error in updateInstructors:', error);
-    return createErrorResponse('Failed to update instructors: ' + error.toString());
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function getSchemaVersion(spreadsheet) {
+  return parseInt(getMetaValue(spreadsheet, 'schemaVersion')) || 1;
+}
+
+function getMetaValue(spreadsheet, key) {
+  const metaSheet = spreadsheet.getSheetByName('meta');
+  if (!metaSheet) return '';
+  
+  const data = metaSheet.getDataRange().getValues();
+  const columns = getHeaderIndexes(data[0]);
+  for (let i = 1; i < data.length; i++) {
+    if (String(data[i][columns['คีย์']]) === key) {
+      return String(data[i][columns['ค่า']]);
+    }
+  }
+  return '';
+}
+
+function setMetaValue(spreadsheet, key, value) {
+  const metaSheet = spreadsheet.getSheetByName('meta') || createMetaSheet(spreadsheet);
+  const columns = ensureColumns(metaSheet, META_HEADERS);
+  const data = metaSheet.getDataRange().getValues();
+  
+  for (let i = 1; i < data.length; i++) {
+    if (String(data[i][columns['คีย์'] - 1]) === key) {
+      metaSheet.getRange(i + 1, columns['ค่า']).setValue(value);
+      return;
+    }
+  }
+  metaSheet.appendRow(buildRow(columns, { 'คีย์': key, 'ค่า': value }));
+}
+
+// Adds the column if needed and fills its empty cells, e.g. rows written before it existed
+function backfillColumn(sheet, header, value) {
+  const column = ensureColumns(sheet, [header])[header];
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return 0;
+  
+  const range = sheet.getRange(2, column, lastRow - 1, 1);
+  let filled = 0;
+  const values = range.getValues().map(([cell]) => {
+    if (cell !== '' && cell !== null) return [cell];
+    filled++;
+    return [value];
+  });
+  
+  if (filled > 0) {
+    range.setValues(values);
+    console.log(`Backfilled ${filled} rows of ${sheet.getName()}.${header}`);
   }
+  return filled;
 }
 
 // =============================================================================
@@ -323,7 +4569,7 @@ function createInstructorsSheet(spreadsheet) {
   const sheet = spreadsheet.insertSheet('instructors');
   
   // Create headers
-  const headers = ['ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'ผู้สอน1', 'ผู้สอน2'];
+  const headers = INSTRUCTORS_HEADERS;
   sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
   
   // Format headers
@@ -336,18 +4582,21 @@ function createInstructorsSheet(spreadsheet) {
   // Auto-resize columns
   sheet.autoResizeColumns(1, headers.length);
   
-  // Add sample data
+  // Add sample data (slots built from the default reference values)
+  const centers = DEFAULT_REFERENCE.center;
+  const days = DEFAULT_REFERENCE.day;
+  const periods = DEFAULT_REFERENCE.period;
   const sampleData = [
-    ['ลาดกระบัง', '1', 'เสาร์', 'เช้า', 'อาจารย์สมชาย', 'อาจารย์สมหญิง'],
-    ['ลาดกระบัง', '1', 'เสาร์', 'บ่าย', 'อาจารย์สมศักดิ์', ''],
-    ['ลาดกระบัง', '1', 'อาทิตย์', 'เช้า', 'อาจารย์สมพงษ์', 'อาจารย์สมใจ'],
-    ['บางพลัด', '1', 'เสาร์', 'เช้า', 'อาจารย์วีรชัย', ''],
-    ['ระยอง', '1', 'เสาร์', 'เช้า', 'อาจารย์นันทา', 'อาจารย์สุชาดา'],
-    ['ศรีราชา', '1', 'อาทิตย์', 'บ่าย', 'อาจารย์ปราณี', '']
+    [centers[0], '1', days[0], periods[0], 'อาจารย์สมชาย', 'อาจารย์สมหญิง', DEFAULT_COURSE_ID, '', '', 30],
+    [centers[0], '1', days[0], periods[1], 'อาจารย์สมศักดิ์', '', DEFAULT_COURSE_ID, '', '', 28],
+    [centers[0], '1', days[1], periods[0], 'อาจารย์สมพงษ์', 'อาจารย์สมใจ', DEFAULT_COURSE_ID, '', '', 30],
+    [centers[1], '1', days[0], periods[0], 'อาจารย์วีรชัย', '', DEFAULT_COURSE_ID, '', '', 20],
+    [centers[2], '1', days[0], periods[0], 'อาจารย์นันทา', 'อาจารย์สุชาดา', DEFAULT_COURSE_ID, '', '', 25],
+    [centers[3], '1', days[1], periods[1], 'อาจารย์ปราณี', '', DEFAULT_COURSE_ID, '', '', 22]
   ];
   
   if (sampleData.length > 0) {
-    sheet.getRange(2, 1, sampleData.length, headers.length).setValues(sampleData);
+    sheet.getRange(2, 1, sampleData.length, sampleData[0].length).setValues(sampleData);
     formatInstructorsSheet(sheet, sampleData.length);
   }
   
@@ -355,25 +4604,12 @@ function createInstructorsSheet(spreadsheet) {
   return sheet;
 }
 
-function createEvaluationSheet(spreadsheet) {
+function createEvaluationSheet(spreadsheet, questions) {
   const sheet = spreadsheet.insertSheet('evaluation');
+  const schema = questions || getQuestionSchema(spreadsheet);
   
-  // Create headers
-  const headers = [
-    'Timestamp',        // A
-    'ศูนย์',            // B
-    'สัปดาห์',          // C
-    'วัน',              // D
-    'ช่วงเวลา',         // E
-    'ผู้สอน1',          // F
-    'ผู้สอน2',          // G
-    'ความชัดเจน',       // H
-    'การเตรียม',        // I
-    'ปฏิสัมพันธ์',      // J
-    'ตรงต่อเวลา',       // K
-    'พึงพอใจ',          // L
-    'ข้อเสนอแนะ'        // M
-  ];
+  // Create headers: fixed slot columns followed by one column per question
+  const headers = EVALUATION_BASE_HEADERS.concat(schema.map(question => question.column));
   
   sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
   
@@ -392,17 +4628,286 @@ function createEvaluationSheet(spreadsheet) {
   sheet.setColumnWidth(5, 100); // ช่วงเวลา
   sheet.setColumnWidth(6, 150); // ผู้สอน1
   sheet.setColumnWidth(7, 150); // ผู้สอน2
-  sheet.setColumnWidth(8, 100); // ความชัดเจน
-  sheet.setColumnWidth(9, 100); // การเตรียม
-  sheet.setColumnWidth(10, 120); // ปฏิสัมพันธ์
-  sheet.setColumnWidth(11, 100); // ตรงต่อเวลา
-  sheet.setColumnWidth(12, 100); // พึงพอใจ
-  sheet.setColumnWidth(13, 250); // ข้อเสนอแนะ
+  sheet.setColumnWidth(8, 120); // หลักสูตร
+  sheet.setColumnWidth(9, 100); // รหัสผู้สอน1
+  sheet.setColumnWidth(10, 100); // รหัสผู้สอน2
+  schema.forEach((question, index) => {
+    sheet.setColumnWidth(EVALUATION_BASE_HEADERS.length + index + 1, question.type === 'text' ? 250 : 100);
+  });
   
   console.log('Created evaluation sheet');
   return sheet;
 }
 
+function createCoursesSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('courses');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, COURSES_HEADERS.length).setValues([COURSES_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, COURSES_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  // The original single course becomes the default course
+  sheet.getRange(2, 1, 1, COURSES_HEADERS.length).setValues([[DEFAULT_COURSE_ID, 'Power Supply', true, COURSE_WEEKS]]);
+  sheet.autoResizeColumns(1, COURSES_HEADERS.length);
+  
+  console.log('Created courses sheet');
+  return sheet;
+}
+
+function createReferenceSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('reference');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, REFERENCE_HEADERS.length).setValues([REFERENCE_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, REFERENCE_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  // Seed with the defaults; an empty course means the row applies to every course
+  const rows = [];
+  REFERENCE_TYPES.forEach(type => {
+    DEFAULT_REFERENCE[type].forEach((value, index) => {
+      rows.push([type, value, index + 1, '', true]);
+    });
+  });
+  sheet.getRange(2, 1, rows.length, REFERENCE_HEADERS.length).setValues(rows);
+  sheet.autoResizeColumns(1, REFERENCE_HEADERS.length);
+  
+  console.log('Created reference sheet');
+  return sheet;
+}
+
+function createRecipientsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('recipients');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, RECIPIENTS_HEADERS.length).setValues([RECIPIENTS_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, RECIPIENTS_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  // Disabled examples showing both recipient types
+  const examples = [
+    [RECIPIENT_TYPES.COORDINATOR, 'ผู้ประสานงานศูนย์ลาดกระบัง', 'coordinator@example.com', 'ลาดกระบัง', '', false],
+    [RECIPIENT_TYPES.INSTRUCTOR, 'อาจารย์สมชาย', 'instructor@example.com', '', '', false],
+    [RECIPIENT_TYPES.ADMIN, 'ผู้ดูแลระบบ', 'admin@example.com', '', '', false]
+  ];
+  sheet.getRange(2, 1, examples.length, RECIPIENTS_HEADERS.length).setValues(examples);
+  sheet.autoResizeColumns(1, RECIPIENTS_HEADERS.length);
+  
+  console.log('Created recipients sheet');
+  return sheet;
+}
+
+function createAlertRulesSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('alertRules');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, ALERT_RULES_HEADERS.length).setValues([ALERT_RULES_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, ALERT_RULES_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  // low-rating: any score <= threshold; slot-average: slot mean < threshold after N answers;
+  // week-drop: instructor mean drops by >= threshold from the previous week (N answers each)
+  const defaults = [
+    ['any-low-rating', 'low-rating', 2, 1, true],
+    ['slot-below-3', 'slot-average', 3, 5, true],
+    ['weekly-drop', 'week-drop', 0.5, 3, true]
+  ];
+  sheet.getRange(2, 1, defaults.length, ALERT_RULES_HEADERS.length).setValues(defaults);
+  sheet.autoResizeColumns(1, ALERT_RULES_HEADERS.length);
+  
+  console.log('Created alertRules sheet');
+  return sheet;
+}
+
+function createAlertsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('alerts');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, ALERTS_HEADERS.length).setValues([ALERTS_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, ALERTS_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#ea4335');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  sheet.setColumnWidth(11, 300); // รายละเอียด
+  
+  console.log('Created alerts sheet');
+  return sheet;
+}
+
+function createAuditSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('audit');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setValues([AUDIT_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, AUDIT_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#5f6368');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  sheet.setColumnWidth(7, 300); // ก่อน
+  sheet.setColumnWidth(8, 300); // หลัง
+  
+  console.log('Created audit sheet');
+  return sheet;
+}
+
+function createTermsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('terms');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, TERMS_HEADERS.length).setValues([TERMS_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, TERMS_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  console.log('Created terms sheet');
+  return sheet;
+}
+
+function createMetaSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('meta');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, META_HEADERS.length).setValues([META_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, META_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  sheet.setColumnWidth(1, 150); // คีย์
+  
+  console.log('Created meta sheet');
+  return sheet;
+}
+
+function createInstructorRatingsSheet(spreadsheet, questions) {
+  const sheet = spreadsheet.insertSheet('instructorRatings');
+  const schema = questions || getQuestionSchema(spreadsheet);
+  
+  // Create headers: one column per scale question after the fixed ones
+  const headers = INSTRUCTOR_RATINGS_HEADERS.concat(
+    schema.filter(question => question.type === 'scale').map(question => question.column));
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  sheet.setColumnWidth(1, 280); // SubmissionId
+  sheet.setColumnWidth(3, 150); // ผู้สอน
+  
+  console.log('Created instructorRatings sheet');
+  return sheet;
+}
+
+function createRegistrySheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('instructorsRegistry');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, REGISTRY_HEADERS.length).setValues([REGISTRY_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, REGISTRY_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  sheet.setColumnWidth(2, 200); // ชื่อที่แสดง
+  sheet.setColumnWidth(3, 250); // ชื่ออื่น
+  
+  console.log('Created instructorsRegistry sheet');
+  return sheet;
+}
+
+function createQuestionsSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('questions');
+  
+  // Create headers
+  sheet.getRange(1, 1, 1, QUESTIONS_HEADERS.length).setValues([QUESTIONS_HEADERS]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, QUESTIONS_HEADERS.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  // Seed with the default questionnaire
+  const rows = DEFAULT_QUESTIONS.map(question => [
+    question.id,
+    question.label,
+    question.column,
+    question.type,
+    question.required,
+    question.options.join(', '),
+    question.icon
+  ]);
+  sheet.getRange(2, 1, rows.length, QUESTIONS_HEADERS.length).setValues(rows);
+  
+  sheet.setColumnWidth(2, 300); // คำถาม
+  
+  console.log('Created questions sheet with default questionnaire');
+  return sheet;
+}
+
+function createTokensSheet(spreadsheet) {
+  const sheet = spreadsheet.insertSheet('evaluationTokens');
+  
+  // Create headers
+  const headers = TOKENS_HEADERS;
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  
+  // Format headers
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('white');
+  headerRange.setBorder(true, true, true, true, true, true);
+  
+  sheet.setColumnWidth(1, 280); // Token
+  sheet.setColumnWidth(2, 120); // รหัสนักเรียน
+  
+  console.log('Created evaluationTokens sheet');
+  return sheet;
+}
+
 // =============================================================================
 // 🎨 FORMATTING - จัดรูปแบบ
 // =============================================================================
@@ -410,30 +4915,45 @@ function createEvaluationSheet(spreadsheet) {
 function formatInstructorsSheet(sheet, dataRows) {
   if (dataRows <= 0) return;
   
+  const columnCount = sheet.getLastColumn();
+  
   // Format data rows
-  const dataRange = sheet.getRange(2, 1, dataRows, 6);
+  const dataRange = sheet.getRange(2, 1, dataRows, columnCount);
   dataRange.setBorder(true, true, true, true, true, true);
   
   // Alternate row colors
   for (let i = 2; i <= dataRows + 1; i++) {
     if (i % 2 === 0) {
-      sheet.getRange(i, 1, 1, 6).setBackground('#f8f9fa');
+      sheet.getRange(i, 1, 1, columnCount).setBackground('#f8f9fa');
     }
   }
   
   // Center align specific columns
-  sheet.getRange(2, 2, dataRows, 4).setHorizontalAlignment('center'); // สัปดาห์, วัน, ช่วงเวลา
+  const columns = getHeaderIndexes(sheet.getRange(1, 1, 1, columnCount).getValues()[0]);
+  ['สัปดาห์', 'วัน', 'ช่วงเวลา'].forEach(header => {
+    if (columns[header] !== undefined) {
+      sheet.getRange(2, columns[header] + 1, dataRows, 1).setHorizontalAlignment('center');
+    }
+  });
 }
 
-function formatEvaluationRow(sheet, row, columnCount) {
+function formatEvaluationRow(sheet, row, columnCount, scaleColumns) {
   // Add borders
   sheet.getRange(row, 1, 1, columnCount).setBorder(true, true, true, true, true, true);
   
-  // Format rating columns (H-L) with colors
-  for (let col = 8; col <= 12; col++) {
+  // Alternate row background (rating cells are recoloured below)
+  if (row % 2 === 0) {
+    sheet.getRange(row, 1, 1, columnCount).setBackground('#f8f9fa');
+  }
+  
+  // Format rating columns with colors
+  scaleColumns.forEach(col => {
     const cell = sheet.getRange(row, col);
     const score = cell.getValue();
     
+    // Optional questions may be left blank
+    if (score === '') return;
+    
     if (score >= 5) {
       cell.setBackground('#34a853'); // เขียวเข้ม
       cell.setFontColor('white');
@@ -452,13 +4972,66 @@ function formatEvaluationRow(sheet, row, columnCount) {
     
     // Center align ratings
     cell.setHorizontalAlignment('center');
-  }
+  });
+}
+
+// =============================================================================
+// 🧱 SHEET HELPERS - อ่าน/เขียนตามชื่อหัวคอลัมน์
+// =============================================================================
+
+function getHeaderIndexes(headerRow) {
+  // Header name -> 0-based index
+  const indexes = {};
+  (headerRow || []).forEach((header, index) => {
+    const name = String(header).trim();
+    if (name && indexes[name] === undefined) {
+      indexes[name] = index;
+    }
+  });
+  return indexes;
+}
+
+function ensureColumns(sheet, headers) {
+  // Appends any missing header and returns header name -> 1-based column
+  const lastColumn = sheet.getLastColumn();
+  const existing = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+  const indexes = getHeaderIndexes(existing);
+  let nextColumn = existing.length + 1;
   
-  // Alternate row background for basic info
-  if (row % 2 === 0) {
-    sheet.getRange(row, 1, 1, 7).setBackground('#f8f9fa'); // Basic info columns
-    sheet.getRange(row, 13, 1, 1).setBackground('#f8f9fa'); // Comment column
-  }
+  headers.forEach(header => {
+    if (indexes[header] !== undefined) return;
+    const cell = sheet.getRange(1, nextColumn);
+    cell.setValue(header);
+    cell.setFontWeight('bold');
+    cell.setBackground('#4285f4');
+    cell.setFontColor('white');
+    indexes[header] = nextColumn - 1;
+    nextColumn++;
+    console.log('Added column:', header);
+  });
+  
+  const columns = {};
+  Object.entries(indexes).forEach(([header, index]) => {
+    columns[header] = index + 1;
+  });
+  return columns;
+}
+
+function buildRow(columns, values) {
+  const width = Math.max.apply(null, Object.values(columns));
+  const row = new Array(width).fill('');
+  Object.entries(values).forEach(([header, value]) => {
+    if (columns[header] !== undefined) {
+      row[columns[header] - 1] = value;
+    }
+  });
+  return row;
+}
+
+function parseBoolean(value) {
+  if (value === true) return true;
+  const text = String(value || '').trim().toLowerCase();
+  return ['true', 'yes', 'y', '1', 'ใช่'].includes(text);
 }
 
 // =============================================================================
@@ -475,16 +5048,29 @@ function createSuccessResponse(data) {
     .setMimeType(ContentService.MimeType.JSON);
 }
 
-function createErrorResponse(message) {
+function createErrorResponse(message, code) {
+  const payload = {
+    status: 'error',
+    message: message,
+    timestamp: new Date().toISOString()
+  };
+  
+  // Machine-readable error code for clients (e.g. DUPLICATE)
+  if (code) {
+    payload.code = code;
+  }
+  
   return ContentService
-    .createTextOutput(JSON.stringify({
-      status: 'error',
-      message: message,
-      timestamp: new Date().toISOString()
-    }))
+    .createTextOutput(JSON.stringify(payload))
     .setMimeType(ContentService.MimeType.JSON);
 }
 
+function createAppError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 function createHealthResponse() {
   const spreadsheet = SpreadsheetApp.getActive();
   return createSuccessResponse({
@@ -492,7 +5078,8 @@ function createHealthResponse() {
     version: '2.0.1',
     spreadsheetId: spreadsheet.getId(),
     spreadsheetName: spreadsheet.getName(),
-    features: ['instructor-management', 'evaluation-submission'],
+    schemaVersion: getSchemaVersion(spreadsheet),
+    features: ['instructor-management', 'evaluation-submission', 'instructor-report', 'evaluation-summary', 'duplicate-protection', 'configurable-questionnaire', 'multi-course', 'slot-editing', 'admin-auth', 'evaluation-export', 'low-score-alerts', 'schema-migrations', 'schedule-import', 'instructor-registry', 'reference-data', 'per-instructor-ratings', 'response-rates', 'comment-moderation', 'audit-log', 'term-archive', 'backup-restore'],
     sheets: spreadsheet.getSheets().map(sheet => ({
       name: sheet.getName(),
       rows: sheet.getLastRow(),
@@ -533,12 +5120,15 @@ function testSubmitEvaluation() {
     period: "เช้า",
     instructor1: "ทดสอบระบบ",
     instructor2: "",
+    studentId: "TEST-" + Date.now(),
     clarity: 5,
     preparation: 4,
     interaction: 5,
     punctuality: 4,
     satisfaction: 5,
-    comment: "ทดสอบจาก Google Apps Script Editor"
+    comment: "ทดสอบจาก Google Apps Script Editor",
+    // Validate only, so running the tests doesn't leave rows in the evaluation sheet
+    dryRun: true
   };
   
   const result = submitEvaluation(testData);
@@ -576,7 +5166,8 @@ function testUpdateInstructors() {
     }
   };
   
-  const result = updateInstructors(testData);
+  const current = JSON.parse(getInstructors().getContent());
+  const result = updateInstructors(testData, undefined, current.version);
   console.log('Update instructors result:', result.getContent());
   return JSON.parse(result.getContent());
 }
@@ -630,17 +5221,16 @@ function getSpreadsheetInfo() {
   return info;
 }
 
+// Evaluations are archived as a term of their own rather than deleted, so restoreTerm can bring them back
 function clearAllEvaluations() {
-  const spreadsheet = SpreadsheetApp.getActive();
-  const evaluationSheet = spreadsheet.getSheetByName('evaluation');
-  
-  if (evaluationSheet) {
-    const lastRow = evaluationSheet.getLastRow();
-    if (lastRow > 1) {
-      evaluationSheet.deleteRows(2, lastRow - 1);
-      console.log('Cleared all evaluation data');
-    }
+  const termId = 'cleared-' + Utilities.formatDate(new Date(), 'Asia/Bangkok', 'yyyyMMdd-HHmmss');
+  const result = JSON.parse(closeTerm({ term: termId, name: 'ล้างข้อมูลประเมิน', keepSchedule: true }).getContent());
+  if (result.status !== 'success') {
+    throw new Error(result.message);
   }
+  
+  console.log('Archived all evaluation data as term', termId);
+  return result;
 }
 
 function exportEvaluationsToCSV() {
@@ -652,10 +5242,10 @@ function exportEvaluationsToCSV() {
     return null;
   }
   
-  const data = evaluationSheet.getDataRange().getValues();
-  const csvContent = data.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+  const table = buildEvaluationExport(spreadsheet, {});
+  const csvContent = toCsv([table.headers].concat(table.rows));
   
-  console.log('CSV export completed, rows:', data.length);
+  console.log('CSV export completed, rows:', table.rows.length);
   return csvContent;
 }
 
@@ -664,6 +5254,13 @@ function exportEvaluationsToCSV() {
 // =============================================================================
 
 function onOpen() {
+  // อัปเกรดโครงสร้าง sheet เก่าก่อนใช้งาน (ไม่ให้ error ขวางการสร้างเมนู)
+  try {
+    runMigrations();
+  } catch (error) {
+    console.error('Error running migrations on open:', error);
+  }
+  
   // สร้าง custom menu ใน Google Sheets
   const ui = SpreadsheetApp.getUi();
   ui.createMenu('🎓 ระบบประเมินการสอน v2.0.1')
@@ -673,7 +5270,13 @@ function onOpen() {
     .addItem('📥 ดูข้อมูลผู้สอน', 'showInstructorsData')
     .addItem('📋 ส่งออกข้อมูลประเมิน', 'exportEvaluations')
     .addSeparator()
-    .addItem('🗑️ ล้างข้อมูลประเมิน', 'confirmClearEvaluations')
+    .addItem('📧 ส่งสรุปรายสัปดาห์ตอนนี้', 'sendWeeklySummaries')
+    .addItem('⏰ ตั้งเวลาส่งสรุปทุกวันจันทร์', 'installWeeklySummaryTrigger')
+    .addItem('🔕 ยกเลิกการส่งสรุปอัตโนมัติ', 'removeWeeklySummaryTrigger')
+    .addSeparator()
+    .addItem('🔧 อัปเกรดโครงสร้างข้อมูล', 'runMigrationsFromMenu')
+    .addItem('🪪 จับคู่ชื่อผู้สอนกับทะเบียน', 'matchInstructorNamesFromMenu')
+    .addItem('🗄️ ย้ายข้อมูลประเมินไปเก็บถาวร', 'confirmClearEvaluations')
     .addToUi();
 }
 
@@ -686,10 +5289,53 @@ function showSystemStatus() {
     `📋 Spreadsheet: ${health.spreadsheetName}\n` +
     `🆔 ID: ${health.spreadsheetId}\n` +
     `📊 Sheets: ${health.sheets.length} แผ่น\n` +
+    `🗄️ Schema: v${health.schemaVersion}\n` +
     `🕐 เวลาตรวจสอบ: ${new Date().toLocaleString('th-TH')}`,
     ui.ButtonSet.OK);
 }
 
+function runMigrationsFromMenu() {
+  const result = runMigrations();
+  const ui = SpreadsheetApp.getUi();
+  
+  if (result.applied.length === 0) {
+    ui.alert('อัปเกรดโครงสร้างข้อมูล', `✅ โครงสร้างข้อมูลเป็นเวอร์ชันล่าสุดแล้ว (v${result.toVersion})`, ui.ButtonSet.OK);
+    return;
+  }
+  
+  ui.alert('อัปเกรดโครงสร้างข้อมูล',
+    `✅ อัปเกรดจาก v${result.fromVersion} เป็น v${result.toVersion}\n\n` +
+    result.applied.map(step => `• v${step.version}: ${step.description}`).join('\n'),
+    ui.ButtonSet.OK);
+}
+
+function matchInstructorNamesFromMenu() {
+  const ui = SpreadsheetApp.getUi();
+  const preview = JSON.parse(matchInstructorNames({ dryRun: true }).getContent());
+  if (preview.status !== 'success') {
+    ui.alert('จับคู่ชื่อผู้สอน', '❌ ' + preview.message, ui.ButtonSet.OK);
+    return;
+  }
+  
+  const describe = counts => Object.entries(counts)
+    .map(([sheet, count]) => `• ${sheet}: จับคู่ได้ ${count.matched} / ไม่พบ ${count.unmatched}`)
+    .join('\n');
+  const unmatched = preview.unmatched.slice(0, 15)
+    .map(item => `• ${item.name} (${item.count})` + (item.suggestion ? ` → อาจเป็น ${item.suggestion}` : ''))
+    .join('\n');
+  
+  const answer = ui.alert('จับคู่ชื่อผู้สอน',
+    `${describe(preview.counts)}\n\n` +
+    (unmatched ? `ชื่อที่ยังไม่อยู่ในทะเบียน (เพิ่มเป็นชื่ออื่นของผู้สอนในแผ่นงาน instructorsRegistry ได้):\n${unmatched}\n\n` : '') +
+    'บันทึกรหัสผู้สอนให้แถวที่จับคู่ได้หรือไม่?',
+    ui.ButtonSet.YES_NO);
+  if (answer !== ui.Button.YES) return;
+  
+  const result = JSON.parse(matchInstructorNames({}).getContent());
+  ui.alert('จับคู่ชื่อผู้สอน', (result.status === 'success' ? '✅ ' : '❌ ') +
+    (result.status === 'success' ? describe(result.counts) : result.message), ui.ButtonSet.OK);
+}
+
 function showInstructorsData() {
   const result = testGetInstructors();
   const ui = SpreadsheetApp.getUi();
@@ -728,13 +5374,14 @@ function exportEvaluations() {
 
 function confirmClearEvaluations() {
   const ui = SpreadsheetApp.getUi();
-  const response = ui.alert('ยืนยันการลบข้อมูล', 
-    '⚠️ คุณต้องการลบข้อมูลการประเมินทั้งหมดหรือไม่?\n\nการดำเนินการนี้ไม่สามารถยกเลิกได้',
+  const response = ui.alert('ยืนยันการล้างข้อมูล', 
+    '⚠️ คุณต้องการย้ายข้อมูลการประเมินทั้งหมดไปเก็บถาวรหรือไม่?\n\n' +
+    'ข้อมูลจะถูกย้ายไปยังแผ่นงาน evaluation_cleared-<วันเวลา> และคืนค่าได้จากหน้าผู้ดูแลระบบ (ตารางสอนยังคงอยู่)',
     ui.ButtonSet.YES_NO);
   
   if (response === ui.Button.YES) {
-    clearAllEvaluations();
-    ui.alert('ลบข้อมูลเรียบร้อย', '🗑️ ข้อมูลการประเมินทั้งหมดถูกลบแล้ว', ui.ButtonSet.OK);
+    const result = clearAllEvaluations();
+    ui.alert('ย้ายข้อมูลเรียบร้อย', `🗄️ เก็บข้อมูลการประเมิน ${result.counts.evaluation || 0} รายการไว้ในภาคเรียน ${result.term.id} แล้ว`, ui.ButtonSet.OK);
   }
 }
 
@@ -745,9 +5392,23 @@ function confirmClearEvaluations() {
 console.log('🎓 Teaching Evaluation System v2.0.1 - Simplified Version - Loaded successfully');
 console.log('📋 Available functions:');
 console.log('- doGet(e) / doPost(e): Main handlers');
-console.log('- getInstructors(): Get instructor data');
+console.log('- getInstructors(course): Get instructor data');
+console.log('- getCourses(): Get active courses');
+console.log('- upsertSlot(request) / deleteSlot(request): Edit one slot with version check');
+console.log('- login(request): Issue admin session token');
+console.log('- setAdminUser(username, password, role): Add admin login');
 console.log('- submitEvaluation(data): Submit evaluation');
+console.log('- getForm(): Get questionnaire schema');
 console.log('- updateInstructors(data): Update instructor data');
+console.log('- getInstructorReport(filters): Per-instructor score report');
+console.log('- getEvaluationSummary(filters): Aggregated results for dashboard');
+console.log('- exportEvaluationsData(params): CSV/JSON export with filters');
+console.log('- sendWeeklySummaries(options): Email weekly summaries to recipients');
+console.log('- installWeeklySummaryTrigger(): Schedule weekly summaries');
+console.log('- getAlerts(params) / acknowledgeAlert(request): Low-score alerts');
+console.log('- getAuditLog(params): Who changed what, with before/after snapshots');
+console.log('- closeTerm(request) / restoreTerm(request): Archive a term and bring it back');
+console.log('- createBackup() / restoreBackup(request): Snapshot every sheet and restore one');
 console.log('- runAllTests(): Test all functions');
 console.log('- getSpreadsheetInfo(): Get spreadsheet details');
 console.log('💡 Ready for deployment!');
\ No newline at end of file
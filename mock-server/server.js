@@ -0,0 +1,345 @@
+// Local stand-in for the deployed Apps Script web app.
+//
+// Every request runs the unmodified google-apps-script.js (through the fakes in
+// test/apps-script-fakes.js) against sheets stored as JSON files, so the action
+// protocol and the {status, timestamp, ...} envelope are the real ones.
+//
+//   node mock-server/server.js [--port=8787] [--host=127.0.0.1] [--data=mock-server/data]
+//                              [--latency=300 | --latency=200-1500]
+//                              [--fail-rate=0.2] [--fail-mode=error|http|drop|timeout]
+//                              [--fail-actions=submitEvaluation,getInstructors] [--reset] [--verbose]
+//
+// Failure modes:
+//   error    error envelope with code MOCK_FAILURE, nothing is written
+//   http     HTTP 503 page (what Google returns when the script is unavailable), nothing is written
+//   drop     the connection is closed without a response, nothing is written
+//   timeout  the request IS processed but the response never arrives (tests idempotent retries)
+//
+// It listens on 127.0.0.1 only: it has a known admin login and lets any origin call it, so
+// --host=0.0.0.0 (to try the pages from a phone) exposes the data folder to the whole network.
+//
+// Latency and failures can be changed while running: GET/POST /__mock/config with a JSON body
+// such as {"latency": "500-2000", "failRate": 1, "failMode": "drop"}.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadScript } = require('../test/apps-script-fakes');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PROPERTIES_FILE = '_properties.json';
+const FAIL_MODES = ['error', 'http', 'drop', 'timeout'];
+const TIMEOUT_HOLD_MS = 120000;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_ADMIN = { username: 'admin', password: 'admin' };
+const STATIC_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css' };
+
+// =============================================================================
+// ⚙️ OPTIONS
+// =============================================================================
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) throw new Error(`Unexpected argument: ${arg}`);
+    args[match[1]] = match[2] === undefined ? true : match[2];
+  });
+  return args;
+}
+
+// "300" is a fixed delay, "200-1500" a random one in that range
+function parseLatency(value) {
+  const match = String(value || '0').match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) throw new Error(`Invalid latency: ${value} (use e.g. 300 or 200-1500)`);
+  const min = Number(match[1]);
+  const max = match[2] === undefined ? min : Number(match[2]);
+  if (max < min) throw new Error(`Invalid latency: ${value} (max below min)`);
+  return { min, max };
+}
+
+function buildFaults(source, current) {
+  const faults = Object.assign({}, current);
+  if (source.latency !== undefined) faults.latency = parseLatency(source.latency);
+  if (source.failRate !== undefined) {
+    const rate = Number(source.failRate);
+    if (isNaN(rate) || rate < 0 || rate > 1) throw new Error(`Invalid failRate: ${source.failRate} (0-1)`);
+    faults.failRate = rate;
+  }
+  if (source.failMode !== undefined) {
+    if (!FAIL_MODES.includes(source.failMode)) throw new Error(`Invalid failMode: ${source.failMode} (${FAIL_MODES.join('|')})`);
+    faults.failMode = source.failMode;
+  }
+  if (source.failActions !== undefined) {
+    const actions = Array.isArray(source.failActions) ? source.failActions : String(source.failActions).split(',');
+    faults.failActions = actions.map(action => action.trim()).filter(Boolean);
+  }
+  return faults;
+}
+
+function describeFaults(faults) {
+  const { min, max } = faults.latency;
+  const latency = min === max ? `${min}ms` : `${min}-${max}ms`;
+  const scope = faults.failActions.length > 0 ? faults.failActions.join(',') : 'all actions';
+  return `latency ${latency}, failures ${Math.round(faults.failRate * 100)}% (${faults.failMode}, ${scope})`;
+}
+
+// =============================================================================
+// 📁 JSON STORAGE - one file per sheet
+// =============================================================================
+
+function createStore(dataDir) {
+  const root = path.resolve(dataDir);
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+
+  // Sheet names come from requests (e.g. a restored backup), so they must not leave the folder
+  const filePath = file => {
+    const resolved = path.resolve(root, file);
+    if (path.dirname(resolved) !== root) throw new Error(`Refusing to write outside the data folder: ${file}`);
+    return resolved;
+  };
+  const sheetFile = name => {
+    if (!name || /[\/\\]|\.\./.test(name)) throw new Error(`Invalid sheet name for the data folder: ${name}`);
+    return filePath(`${name}.json`);
+  };
+
+  // One row per line keeps the files readable and hand-editable
+  const writeRows = (file, rows) => {
+    const body = rows.map(row => '  ' + JSON.stringify(row)).join(',\n');
+    fs.writeFileSync(file, rows.length > 0 ? `[\n${body}\n]\n` : '[]\n');
+  };
+
+  return {
+    // Read on every request, so edits to the files apply without a restart
+    load() {
+      fs.mkdirSync(root, { recursive: true });
+      const sheets = {};
+      fs.readdirSync(root)
+        .filter(file => file.endsWith('.json') && file !== PROPERTIES_FILE)
+        .sort()
+        .forEach(file => {
+          sheets[path.basename(file, '.json')] = readJson(file);
+        });
+      const properties = fs.existsSync(path.join(root, PROPERTIES_FILE)) ? readJson(PROPERTIES_FILE) : {};
+      return { sheets, properties };
+    },
+
+    save(spreadsheet, properties) {
+      fs.mkdirSync(root, { recursive: true });
+      const sheets = JSON.parse(JSON.stringify(spreadsheet));
+      // Every name is checked before anything is written
+      const files = Object.keys(sheets).map(name => [sheetFile(name), sheets[name]]);
+      files.forEach(([file, rows]) => writeRows(file, rows));
+
+      // Sheets deleted by the script are removed from disk too
+      fs.readdirSync(root)
+        .filter(file => file.endsWith('.json') && file !== PROPERTIES_FILE && !(path.basename(file, '.json') in sheets))
+        .forEach(file => fs.unlinkSync(filePath(file)));
+
+      fs.writeFileSync(filePath(PROPERTIES_FILE), JSON.stringify(properties, null, 2) + '\n');
+    },
+
+    reset() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+// =============================================================================
+// 🌐 HTTP
+// =============================================================================
+
+// Runs one request the way Apps Script does: a fresh script instance per execution.
+// CacheService (login lockouts) lives in memory for as long as the server runs.
+function execute(store, cache, verbose, method, parameter, body) {
+  const state = store.load();
+  const app = loadScript({ sheets: state.sheets, properties: state.properties, logs: verbose, cache: cache });
+  const output = method === 'POST'
+    ? app.script.doPost({ postData: { contents: body, type: 'text/plain' }, parameter: parameter })
+    : app.script.doGet({ parameter: parameter });
+  store.save(app.spreadsheet, app.properties);
+  return output;
+}
+
+function sendOutput(res, output) {
+  const headers = { 'Content-Type': `${output.getMimeType()}; charset=utf-8` };
+  if (output.fileName) {
+    headers['Content-Disposition'] = `attachment; filename="${output.fileName}"`;
+  }
+  send(res, 200, headers, output.getContent());
+}
+
+function send(res, status, headers, body) {
+  res.writeHead(status, Object.assign({ 'Access-Control-Allow-Origin': '*' }, headers));
+  res.end(body);
+}
+
+function sendJson(res, status, payload) {
+  send(res, status, { 'Content-Type': 'application/json; charset=utf-8' }, JSON.stringify(payload, null, 2));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Only files in the repository root, e.g. /student-evaluation.html
+function serveStatic(res, pathname) {
+  const fileName = pathname === '/' ? 'index.html' : decodeURIComponent(pathname.slice(1));
+  const type = STATIC_TYPES[path.extname(fileName)];
+  const filePath = path.join(ROOT_DIR, fileName);
+  if (!type || fileName.includes('/') || fileName.includes('\\') || !fs.existsSync(filePath)) {
+    return send(res, 404, { 'Content-Type': 'text/plain' }, 'Not found');
+  }
+  send(res, 200, { 'Content-Type': type }, fs.readFileSync(filePath));
+}
+
+// Action name for failure targeting; unparsable bodies are left for the script to reject
+function getAction(method, parameter, body) {
+  if (method !== 'POST') return parameter.action || '';
+  try {
+    return JSON.parse(body).action || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// options: dataDir, faults (see buildFaults), verbose (script logs), log (request log, console.log by default)
+function createServer(options) {
+  const store = createStore(options.dataDir);
+  const cache = new Map();
+  const log = options.log || console.log;
+  let faults = options.faults;
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'OPTIONS') {
+        return send(res, 204, {
+          'Access-Control-Allow-Methods': 'GET, POST',
+          'Access-Control-Allow-Headers': 'Content-Type'
+        }, '');
+      }
+
+      if (url.pathname === '/__mock/config') {
+        if (req.method === 'POST') {
+          try {
+            faults = buildFaults(JSON.parse((await readBody(req)) || '{}'), faults);
+          } catch (error) {
+            return sendJson(res, 400, { status: 'error', message: error.message });
+          }
+          log('⚙️  Mock config: ' + describeFaults(faults));
+        }
+        return sendJson(res, 200, faults);
+      }
+
+      if (url.pathname !== '/exec') {
+        return serveStatic(res, url.pathname);
+      }
+
+      const parameter = Object.fromEntries(url.searchParams);
+      const body = req.method === 'POST' ? await readBody(req) : '';
+      const action = getAction(req.method, parameter, body);
+      const { min, max } = faults.latency;
+      const latency = min + Math.floor(Math.random() * (max - min + 1));
+      const targeted = faults.failActions.length === 0 || faults.failActions.includes(action);
+      const fail = targeted && Math.random() < faults.failRate;
+
+      await delay(latency);
+      log(`${req.method} ${action || '-'} ${latency}ms${fail ? ` ✗ ${faults.failMode}` : ''}`);
+
+      if (!fail) {
+        return sendOutput(res, execute(store, cache, options.verbose, req.method, parameter, body));
+      }
+
+      switch (faults.failMode) {
+        case 'error':
+          return sendJson(res, 200, {
+            status: 'error',
+            message: `Injected failure for ${action || 'request'}`,
+            timestamp: new Date().toISOString(),
+            code: 'MOCK_FAILURE'
+          });
+        case 'http':
+          return send(res, 503, { 'Content-Type': 'text/html' },
+            '<html><body><h1>Service unavailable</h1><p>Injected by the mock server.</p></body></html>');
+        case 'drop':
+          return req.socket.destroy();
+        case 'timeout':
+          execute(store, cache, options.verbose, req.method, parameter, body);
+          return setTimeout(() => req.socket.destroy(), TIMEOUT_HOLD_MS);
+      }
+    } catch (error) {
+      console.error('Mock server error:', error);
+      sendJson(res, 500, { status: 'error', message: 'Mock server error: ' + error.message, timestamp: new Date().toISOString() });
+    }
+  });
+}
+
+// Runs onOpen like opening the spreadsheet does (schema migrations), and on first start
+// adds a known admin login so the admin pages can be used right away
+function prepareData(store) {
+  const state = store.load();
+  const app = loadScript({ sheets: state.sheets, properties: state.properties });
+  app.script.onOpen();
+
+  const createAdmin = !state.properties.ADMIN_USERS;
+  if (createAdmin) {
+    app.script.setAdminUser(DEFAULT_ADMIN.username, DEFAULT_ADMIN.password, 'editor');
+  }
+  store.save(app.spreadsheet, app.properties);
+  return createAdmin;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const env = process.env;
+  const port = Number(args.port || env.MOCK_PORT || 8787);
+  const host = args.host || env.MOCK_HOST || DEFAULT_HOST;
+  const dataDir = path.resolve(args.data || env.MOCK_DATA_DIR || path.join(__dirname, 'data'));
+  const faults = buildFaults({
+    latency: args.latency || env.MOCK_LATENCY || '0',
+    failRate: args['fail-rate'] || env.MOCK_FAIL_RATE || 0,
+    failMode: args['fail-mode'] || env.MOCK_FAIL_MODE || 'error',
+    failActions: args['fail-actions'] || env.MOCK_FAIL_ACTIONS || ''
+  }, {});
+
+  const store = createStore(dataDir);
+  if (args.reset) {
+    store.reset();
+    console.log('🗑️  Cleared', dataDir);
+  }
+  const createdAdmin = prepareData(store);
+
+  createServer({ dataDir, faults, verbose: Boolean(args.verbose) }).listen(port, host, () => {
+    const api = `http://localhost:${port}/exec`;
+    console.log(`🧪 Mock Apps Script API on ${api}`);
+    if (host !== DEFAULT_HOST && host !== 'localhost') {
+      console.log(`⚠️  Listening on ${host}: anyone who can reach this machine can use the admin login and change the data`);
+    }
+    console.log(`📁 Data: ${dataDir}`);
+    console.log(`⚙️  ${describeFaults(faults)}`);
+    if (createdAdmin) {
+      console.log(`🔐 Admin login: ${DEFAULT_ADMIN.username} / ${DEFAULT_ADMIN.password}`);
+    }
+    console.log('📄 Pages:');
+    ['index.html', 'student-evaluation.html', 'manage-instructors.html', 'evaluation-results.html'].forEach(page => {
+      console.log(`   http://localhost:${port}/${page}?api=${api}`);
+    });
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createServer, parseLatency, buildFaults };
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, submitEvaluation, EDITOR_KEY } = require('./apps-script-fakes');
+
+// The default rules, with the sample admin recipient switched on
+function setup() {
+  const app = loadScript();
+  app.script.createRecipientsSheet(app.spreadsheet);
+  const adminRow = app.spreadsheet.rowsOf('recipients').findIndex(row => row[0] === 'admin') + 1;
+  app.spreadsheet.getSheetByName('recipients').getRange(adminRow, 6).setValue(true);
+  return app;
+}
+
+function submit(app, studentId, score) {
+  submitEvaluation(app, { studentId: studentId, clarity: score, preparation: score, interaction: score, punctuality: score, satisfaction: score });
+}
+
+function alertsOf(app, ruleId) {
+  return app.script.readAlerts(app.spreadsheet).filter(alert => alert.ruleId === ruleId);
+}
+
+function closeTerm(app, term) {
+  const response = app.post({ action: 'closeTerm', apiKey: EDITOR_KEY, term: term });
+  assert.equal(response.status, 'success', response.message);
+}
+
+test('a low rating raises an alert per co-teaching instructor and emails the admins once', () => {
+  const app = setup();
+  submit(app, 'S001', 1);
+  submit(app, 'S002', 5);
+
+  const raised = alertsOf(app, 'any-low-rating');
+  assert.deepEqual(Array.from(raised, alert => [alert.instructor, alert.value]), [['อาจารย์สมชาย', 1], ['อาจารย์สมหญิง', 1]]);
+  assert.equal(app.mail.length, 1);
+  assert.equal(app.mail[0].to, 'admin@example.com');
+
+  // Checking the row again finds its key already written
+  assert.deepEqual(Array.from(app.script.checkAlertsForSubmission(app.spreadsheet, 2)), []);
+  assert.equal(app.script.readAlerts(app.spreadsheet).length, 2);
+  assert.equal(app.mail.length, 1);
+});
+
+test('alerts are raised again for the same row and slot after the term is closed', () => {
+  const app = setup();
+  submit(app, 'S001', 1);
+  closeTerm(app, '2025-1');
+
+  // The new submission lands on row 2 again
+  submit(app, 'S001', 1);
+  assert.equal(alertsOf(app, 'any-low-rating').length, 4);
+  assert.equal(app.mail.length, 2);
+});
+
+test('a slot average below the threshold is reported once per term', () => {
+  const app = setup();
+  ['S1', 'S2', 'S3', 'S4', 'S5', 'S6'].forEach(studentId => submit(app, studentId, 2));
+  assert.equal(alertsOf(app, 'slot-below-3').length, 1);
+
+  closeTerm(app, '2025-1');
+  ['S1', 'S2', 'S3', 'S4'].forEach(studentId => submit(app, studentId, 2));
+  assert.equal(alertsOf(app, 'slot-below-3').length, 1);
+  submit(app, 'S5', 2);
+  assert.equal(alertsOf(app, 'slot-below-3').length, 2);
+});
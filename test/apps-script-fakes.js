@@ -0,0 +1,456 @@
+// In-memory fakes for the Apps Script services used by google-apps-script.js.
+// loadScript() runs the unmodified script in a fresh VM context per call, so every
+// test starts from an empty spreadsheet.
+
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'google-apps-script.js');
+const EDITOR_KEY = 'test-editor-key';
+const VIEWER_KEY = 'test-viewer-key';
+
+// A slot of the sample schedule that createInstructorsSheet seeds, and a complete set of answers
+const SLOT = { center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'อาจารย์สมชาย', instructor2: 'อาจารย์สมหญิง' };
+const RATINGS = { clarity: 5, preparation: 4, interaction: 5, punctuality: 4, satisfaction: 5 };
+
+// =============================================================================
+// 📊 SPREADSHEET
+// =============================================================================
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows || 1;
+    this.numColumns = numColumns || 1;
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.rows[this.row - 1 + r] || [];
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        const value = source[this.column - 1 + c];
+        row.push(value === undefined ? '' : value);
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns})`);
+    }
+    values.forEach((row, r) => row.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value)));
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.column, value);
+    return this;
+  }
+
+  getA1Notation() {
+    const letter = column => String.fromCharCode(64 + column);
+    return `${letter(this.column)}${this.row}:${letter(this.column + this.numColumns - 1)}${this.row + this.numRows - 1}`;
+  }
+}
+
+// Formatting has no effect on the stored values
+['setFontWeight', 'setBackground', 'setFontColor', 'setBorder', 'setHorizontalAlignment', 'setNumberFormat', 'setWrap']
+  .forEach(method => {
+    FakeRange.prototype[method] = function () {
+      return this;
+    };
+  });
+
+class FakeSheet {
+  constructor(name) {
+    this.name = name;
+    this.rows = [];
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const cells = this.rows[row - 1];
+    while (cells.length < column) cells.push('');
+    cells[column - 1] = value;
+  }
+
+  getLastRow() {
+    return this.rows.length;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((width, row) => Math.max(width, row.length), 0);
+  }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  // Like Sheets, an empty sheet still has a 1x1 data range
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+  }
+
+  appendRow(values) {
+    this.rows.push(values.slice());
+    return this;
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+  }
+
+  deleteRows(row, count) {
+    this.rows.splice(row - 1, count);
+  }
+
+  clear() {
+    this.rows = [];
+    return this;
+  }
+
+  setColumnWidth() {
+    return this;
+  }
+
+  autoResizeColumns() {
+    return this;
+  }
+}
+
+class FakeSpreadsheet {
+  constructor() {
+    this.sheets = [];
+  }
+
+  getId() {
+    return 'fake-spreadsheet-id';
+  }
+
+  getName() {
+    return 'Fake Spreadsheet';
+  }
+
+  getUrl() {
+    return 'https://docs.google.com/spreadsheets/d/fake-spreadsheet-id';
+  }
+
+  getSheets() {
+    return this.sheets.slice();
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.name === name) || null;
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists`);
+    }
+    const sheet = new FakeSheet(name);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(item => item !== sheet);
+  }
+
+  // Test helper: sheet contents as plain rows (header first)
+  rowsOf(name) {
+    const sheet = this.getSheetByName(name);
+    return sheet ? sheet.rows.map(row => row.slice()) : null;
+  }
+
+  // { <sheet name>: rows }; Date cells serialize as ISO strings
+  toJSON() {
+    const sheets = {};
+    this.sheets.forEach(sheet => {
+      sheets[sheet.name] = sheet.rows.map(row => row.slice());
+    });
+    return sheets;
+  }
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// =============================================================================
+// 🔧 SERVICES
+// =============================================================================
+
+class FakeTextOutput {
+  constructor(content) {
+    this.content = content;
+    this.mimeType = 'text/plain';
+    this.fileName = null;
+  }
+
+  getContent() {
+    return this.content;
+  }
+
+  setMimeType(mimeType) {
+    this.mimeType = mimeType;
+    return this;
+  }
+
+  getMimeType() {
+    return this.mimeType;
+  }
+
+  downloadAsFile(fileName) {
+    this.fileName = fileName;
+    return this;
+  }
+}
+
+// Apps Script returns digests and signatures as signed bytes
+function toSignedBytes(buffer) {
+  return Array.from(buffer).map(byte => (byte > 127 ? byte - 256 : byte));
+}
+
+// Supports the yyyy MM dd HH mm ss tokens the script uses
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return pattern
+    .replace('yyyy', parts.year)
+    .replace('MM', parts.month)
+    .replace('dd', parts.day)
+    .replace('HH', parts.hour)
+    .replace('mm', parts.minute)
+    .replace('ss', parts.second);
+}
+
+function createUtilities() {
+  return {
+    DigestAlgorithm: { MD5: 'md5', SHA_256: 'sha256' },
+    Charset: { UTF_8: 'utf8' },
+    formatDate: formatDate,
+    getUuid: () => crypto.randomUUID(),
+    computeDigest: (algorithm, value) =>
+      toSignedBytes(crypto.createHash(algorithm).update(String(value), 'utf8').digest()),
+    computeHmacSha256Signature: (value, key) =>
+      toSignedBytes(crypto.createHmac('sha256', key).update(String(value), 'utf8').digest()),
+    base64EncodeWebSafe: value => Buffer.from(Array.isArray(value) ? value.map(byte => byte & 255) : String(value))
+      .toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_'),
+    newBlob: (data, contentType, name) => ({
+      getDataAsString: () => String(data),
+      getContentType: () => contentType,
+      getName: () => name
+    })
+  };
+}
+
+function createDriveApp(files) {
+  return {
+    createFile: blob => {
+      const file = {
+        id: `fake-file-${files.length + 1}`,
+        name: blob.getName(),
+        content: blob.getDataAsString()
+      };
+      files.push(file);
+      return {
+        getId: () => file.id,
+        getName: () => file.name,
+        getUrl: () => `https://drive.google.com/file/d/${file.id}`
+      };
+    }
+  };
+}
+
+// Dialogs are recorded instead of shown; every alert is answered with OK
+function createUi(alerts) {
+  const menu = {
+    addItem: () => menu,
+    addSeparator: () => menu,
+    addToUi: () => {}
+  };
+  return {
+    Button: { OK: 'OK', YES: 'YES', NO: 'NO' },
+    ButtonSet: { OK: 'OK', YES_NO: 'YES_NO' },
+    alert: (title, message) => {
+      alerts.push({ title: title, message: message });
+      return 'OK';
+    },
+    createMenu: () => menu
+  };
+}
+
+// Entries are { value, expiresAt }; pass the same Map to keep the cache across loads
+function createCacheService(entries) {
+  const cache = {
+    get: key => {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry.value;
+    },
+    put: (key, value, seconds) => {
+      entries.set(key, { value: String(value), expiresAt: Date.now() + (seconds || 600) * 1000 });
+    },
+    remove: key => {
+      entries.delete(key);
+    }
+  };
+  return { getScriptCache: () => cache };
+}
+
+function createScriptApp(triggers) {
+  // Builder calls are recorded on the trigger, e.g. { handler, weekDay: 'MONDAY', hour: 8 }
+  const newTrigger = handler => {
+    const trigger = { handler: handler, getHandlerFunction: () => handler };
+    const builder = {
+      timeBased: () => builder,
+      onWeekDay: weekDay => {
+        trigger.weekDay = weekDay;
+        return builder;
+      },
+      atHour: hour => {
+        trigger.hour = hour;
+        return builder;
+      },
+      create: () => {
+        triggers.push(trigger);
+        return trigger;
+      }
+    };
+    return builder;
+  };
+
+  return {
+    WeekDay: { MONDAY: 'MONDAY' },
+    newTrigger: newTrigger,
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: trigger => {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) triggers.splice(index, 1);
+    }
+  };
+}
+
+// =============================================================================
+// 🚀 LOADER
+// =============================================================================
+
+// Options:
+//   properties  extra Script Properties (API_KEYS defaults to an editor and a viewer key)
+//   sheets      initial contents as { <sheet name>: rows }, e.g. from spreadsheet.toJSON()
+//   logs        true to print the script's console output
+//   user        email of the Google account running menu functions (default owner@example.com)
+//   cache       Map behind CacheService, e.g. shared by the mock server's requests
+function loadScript(options = {}) {
+  const spreadsheet = new FakeSpreadsheet();
+  const properties = Object.assign({
+    API_KEYS: JSON.stringify({ [EDITOR_KEY]: 'editor', [VIEWER_KEY]: 'viewer' })
+  }, options.properties || {});
+  const mail = [];
+  const files = [];
+  const triggers = [];
+  const alerts = [];
+  const cache = options.cache || new Map();
+  const ui = createUi(alerts);
+  const silent = { log() {}, warn() {}, error() {} };
+
+  const context = {
+    console: options.logs ? console : silent,
+    SpreadsheetApp: {
+      getActive: () => spreadsheet,
+      getUi: () => ui
+    },
+    ContentService: {
+      MimeType: { JSON: 'application/json', CSV: 'text/csv', TEXT: 'text/plain' },
+      createTextOutput: content => new FakeTextOutput(content)
+    },
+    Utilities: createUtilities(),
+    DriveApp: createDriveApp(files),
+    LockService: {
+      getScriptLock: () => ({ waitLock() {}, tryLock: () => true, releaseLock() {} })
+    },
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: key => (key in properties ? properties[key] : null),
+        setProperty: (key, value) => {
+          properties[key] = String(value);
+        },
+        getProperties: () => Object.assign({}, properties)
+      })
+    },
+    CacheService: createCacheService(cache),
+    MailApp: { sendEmail: message => mail.push(message) },
+    ScriptApp: createScriptApp(triggers),
+    Session: {
+      getActiveUser: () => ({ getEmail: () => options.user || 'owner@example.com' })
+    }
+  };
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: 'google-apps-script.js' });
+
+  // ISO strings become Dates again; they must come from the script's realm for instanceof Date checks
+  const ScriptDate = vm.runInContext('Date', context);
+  Object.entries(options.sheets || {}).forEach(([name, rows]) => {
+    const sheet = spreadsheet.insertSheet(name);
+    rows.forEach(row => sheet.appendRow(row.map(value =>
+      (typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new ScriptDate(value) : value))));
+  });
+
+  // JSON responses are parsed; CSV and other outputs are returned as the TextOutput
+  const parse = output => (output.getMimeType() === context.ContentService.MimeType.JSON
+    ? JSON.parse(output.getContent())
+    : output);
+
+  return {
+    script: context,
+    spreadsheet: spreadsheet,
+    properties: properties,
+    mail: mail,
+    files: files,
+    triggers: triggers,
+    alerts: alerts,
+    cache: cache,
+    get: parameter => parse(context.doGet({ parameter: parameter })),
+    post: body => parse(context.doPost({ postData: { contents: JSON.stringify(body) } }))
+  };
+}
+
+// Submits S001's evaluation of SLOT; fields override any of it, e.g. { studentId, comment }.
+// Fails the test unless the submission is accepted and returns the response.
+function submitEvaluation(app, fields) {
+  const response = app.post(Object.assign({ action: 'submitEvaluation', studentId: 'S001' }, SLOT, RATINGS, fields));
+  assert.equal(response.status, 'success', response.message);
+  return response;
+}
+
+module.exports = { loadScript, submitEvaluation, EDITOR_KEY, VIEWER_KEY, SLOT, RATINGS };
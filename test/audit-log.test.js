@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, submitEvaluation, EDITOR_KEY, VIEWER_KEY, SLOT, RATINGS } = require('./apps-script-fakes');
+
+function auditLog(app, params) {
+  const response = app.get(Object.assign({ action: 'getAuditLog', apiKey: EDITOR_KEY }, params));
+  assert.equal(response.status, 'success', response.message);
+  return response;
+}
+
+test('writes are logged with the actor, rows and before/after snapshots', () => {
+  const app = loadScript();
+  app.script.setAdminUser('coordinator', 'secret-password', 'editor');
+  const { sessionToken } = app.post({ action: 'login', username: 'coordinator', password: 'secret-password' });
+
+  const submitted = submitEvaluation(app, { comment: 'ดีมาก' });
+  const { version } = app.get({ action: 'getInstructors' }).data['ลาดกระบัง']['1']['เสาร์']['เช้า'];
+  assert.equal(app.post(Object.assign({ action: 'upsertSlot', sessionToken: sessionToken, instructor1: 'อาจารย์ใหม่', version: version },
+    { center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า' })).status, 'success');
+  app.post({ action: 'moderateComments', apiKey: EDITOR_KEY, submissionId: submitted.submissionId, status: 'approved' });
+
+  const log = auditLog(app);
+  assert.deepEqual(log.data.map(entry => entry.action), ['moderateComments', 'upsertSlot', 'submitEvaluation', 'setAdminUser']);
+
+  const [moderation, upsert, submission] = log.data;
+  assert.equal(submission.actor, 'anonymous');
+  assert.equal(submission.sheet, 'evaluation');
+  assert.equal(submission.rows, String(submitted.rowNumber));
+  assert.equal(submission.before, null);
+  assert.equal(submission.after.SubmissionId, submitted.submissionId);
+
+  assert.equal(upsert.actor, 'coordinator');
+  assert.equal(upsert.role, 'editor');
+  assert.equal(upsert.before.instructor1, 'อาจารย์สมชาย');
+  assert.equal(upsert.after.instructor1, 'อาจารย์ใหม่');
+
+  assert.equal(moderation.actor, 'api-key');
+  assert.equal(moderation.before[0].status, 'pending');
+  assert.equal(moderation.after[0].comment, 'ดีมาก');
+
+  // The menu has no request; the Google account running it is credited
+  assert.equal(log.data[3].actor, 'owner@example.com');
+  assert.deepEqual(log.data[3].details, { username: 'coordinator', role: 'editor' });
+});
+
+test('dry runs and rejected writes leave no entry', () => {
+  const app = loadScript();
+
+  submitEvaluation(app, { dryRun: true });
+  app.post(Object.assign({ action: 'submitEvaluation', studentId: 'S001' }, SLOT, RATINGS, { clarity: 9 }));
+  app.post({ action: 'importSchedule', apiKey: EDITOR_KEY, mode: 'merge', dryRun: true, slots: [{ center: 'ระยอง', week: '4', day: 'เสาร์', period: 'เช้า', instructor1: 'A' }] });
+  app.post({ action: 'deleteSlot', apiKey: EDITOR_KEY, center: 'ระยอง', week: '8', day: 'เสาร์', period: 'เช้า' });
+
+  assert.deepEqual(auditLog(app).data, []);
+});
+
+test('clearing evaluations is logged as archiving them', () => {
+  const app = loadScript();
+  submitEvaluation(app);
+  submitEvaluation(app, { studentId: 'S002' });
+
+  const { term } = app.script.clearAllEvaluations();
+
+  const [cleared] = auditLog(app, { auditAction: 'closeTerm' }).data;
+  assert.equal(cleared.actor, 'owner@example.com');
+  assert.equal(cleared.details.term, term.id);
+  assert.equal(cleared.details.archivedRows.evaluation, 2);
+});
+
+test('snapshots too large for a cell keep their leading rows', () => {
+  const { script } = loadScript();
+  const rows = Array.from({ length: 2000 }, (_, index) => ({ index: index, text: 'x'.repeat(50) }));
+
+  const cell = script.formatAuditSnapshot(rows);
+  assert.ok(cell.length <= 50000);
+  const parsed = JSON.parse(cell);
+  assert.equal(parsed.truncated, true);
+  assert.equal(parsed.total, 2000);
+  assert.equal(parsed.items[0].index, 0);
+
+  assert.equal(script.formatAuditRows([9, 2, 3, 4]), '2-4, 9');
+});
+
+test('the log is filtered and limited to editors', () => {
+  const app = loadScript();
+  submitEvaluation(app);
+  const { version } = app.get({ action: 'getInstructors' });
+  app.post({ action: 'updateInstructors', apiKey: EDITOR_KEY, version: version, instructorsMap: { 'ระยอง': { '2': { 'เสาร์': { 'บ่าย': { instructor1: 'E' } } } } } });
+
+  assert.equal(app.get({ action: 'getAuditLog', apiKey: VIEWER_KEY }).code, 'FORBIDDEN');
+
+  const all = auditLog(app);
+  assert.deepEqual(all.actions, ['submitEvaluation', 'updateInstructors']);
+  assert.deepEqual(all.actors, ['anonymous', 'api-key']);
+
+  const updates = auditLog(app, { actor: 'api-key' });
+  assert.equal(updates.recordCount, 1);
+  assert.equal(updates.data[0].after[0].center, 'ระยอง');
+  assert.ok(updates.data[0].before.length > 1);
+
+  assert.equal(auditLog(app, { limit: 1 }).data.length, 1);
+  assert.equal(auditLog(app, { dateFrom: '2999-01-01' }).recordCount, 0);
+  assert.match(app.get({ action: 'getAuditLog', apiKey: EDITOR_KEY, dateTo: 'soon' }).message, /Invalid dateTo/);
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadScript, submitEvaluation, EDITOR_KEY, VIEWER_KEY } = require('./apps-script-fakes');
+
+function backup(app) {
+  const response = app.get({ action: 'backup', apiKey: EDITOR_KEY });
+  assert.equal(response.status, 'success', response.message);
+  return response.backup;
+}
+
+function restore(app, body) {
+  return app.post(Object.assign({ action: 'restore', apiKey: EDITOR_KEY }, body));
+}
+
+// A migrated system with a schedule and one evaluation
+function setup() {
+  const app = loadScript();
+  app.script.runMigrations();
+  app.get({ action: 'getInstructors' });
+  submitEvaluation(app);
+  return app;
+}
+
+test('a backup holds every sheet with the schema version', () => {
+  const app = setup();
+  // Dates must come from the script's realm, as loadScript does for seeded sheets
+  const ScriptDate = vm.runInContext('Date', app.script);
+  app.spreadsheet.getSheetByName('evaluation').getRange(2, 1).setValue(new ScriptDate('2025-06-01T02:00:00Z'));
+
+  const snapshot = backup(app);
+  assert.equal(snapshot.format, 'evaluation-system-backup');
+  assert.equal(snapshot.schemaVersion, 11);
+  assert.equal(snapshot.createdBy, 'api-key');
+  assert.deepEqual(Object.keys(snapshot.sheets).sort(), app.spreadsheet.getSheets().map(sheet => sheet.getName()).sort());
+  assert.equal(snapshot.sheets.evaluation.length, 2);
+  assert.deepEqual(snapshot.sheets.evaluation[1][0], { date: '2025-06-01T02:00:00.000Z' });
+
+  assert.equal(app.get({ action: 'backup', apiKey: VIEWER_KEY }).code, 'FORBIDDEN');
+});
+
+test('a dry run reports per-sheet changes without writing', () => {
+  const app = setup();
+  const snapshot = backup(app);
+  submitEvaluation(app, { studentId: 'S002' });
+  app.spreadsheet.insertSheet('scratch').appendRow(['x']);
+
+  const preview = restore(app, { backup: JSON.stringify(snapshot), dryRun: true });
+  assert.equal(preview.status, 'success', preview.message);
+  assert.equal(preview.dryRun, true);
+
+  const change = name => preview.changes.find(item => item.sheet === name);
+  assert.equal(change('evaluation').status, 'changed');
+  assert.equal(change('evaluation').removed, 1);
+  assert.equal(change('evaluation').added, 0);
+  assert.equal(change('instructors').status, 'unchanged');
+  assert.equal(change('scratch').status, 'removed');
+  assert.equal(change('audit').status, 'kept');
+
+  assert.equal(app.spreadsheet.rowsOf('evaluation').length, 3);
+  assert.ok(app.spreadsheet.getSheetByName('scratch'));
+});
+
+test('restoring brings back the snapshot and keeps the audit log', () => {
+  const app = setup();
+  const snapshot = backup(app);
+  const dated = new Date('2025-06-01T02:00:00Z');
+  snapshot.sheets.evaluation[1][0] = { date: dated.toISOString() };
+  submitEvaluation(app, { studentId: 'S002' });
+  app.post({ action: 'closeTerm', apiKey: EDITOR_KEY, term: '2025-1' });
+
+  const restored = restore(app, { backup: snapshot });
+  assert.equal(restored.status, 'success', restored.message);
+
+  assert.equal(app.spreadsheet.rowsOf('evaluation').length, 2);
+  assert.equal(app.spreadsheet.rowsOf('evaluation')[1][0].getTime(), dated.getTime());
+  assert.equal(app.spreadsheet.getSheetByName('evaluation_2025-1'), null);
+  assert.ok(app.get({ action: 'getInstructors' }).recordCount > 0);
+
+  const [entry] = app.get({ action: 'getAuditLog', apiKey: EDITOR_KEY, auditAction: 'restore' }).data;
+  assert.equal(entry.details.schemaVersion, 11);
+  assert.equal(app.get({ action: 'getAuditLog', apiKey: EDITOR_KEY, auditAction: 'closeTerm' }).recordCount, 1);
+});
+
+test('an older backup is migrated after restoring', () => {
+  const app = setup();
+  const snapshot = backup(app);
+  snapshot.schemaVersion = 9;
+  delete snapshot.sheets.terms;
+
+  const restored = restore(app, { backup: snapshot });
+  assert.equal(restored.status, 'success', restored.message);
+  assert.deepEqual(Array.from(restored.migration.applied, step => step.version), [10, 11]);
+  assert.ok(app.spreadsheet.getSheetByName('terms'));
+});
+
+test('invalid backups are rejected before anything is written', () => {
+  const app = setup();
+  const snapshot = backup(app);
+  const reject = body => {
+    const response = restore(app, body);
+    assert.equal(response.code, 'INVALID_BACKUP');
+    return response.message;
+  };
+
+  assert.match(reject({ backup: '{not json' }), /not valid JSON/);
+  assert.match(reject({ backup: { format: 'other' } }), /unrecognized backup/);
+  assert.match(reject({ backup: Object.assign({}, snapshot, { schemaVersion: 99 }) }), /newer than this script/);
+  assert.match(reject({ backup: Object.assign({}, snapshot, { sheets: {} }) }), /no sheets/);
+
+  const broken = JSON.parse(JSON.stringify(snapshot));
+  broken.sheets.instructors[0] = ['ศูนย์', 'สัปดาห์'];
+  broken.sheets.evaluation[1][0] = { value: 1 };
+  const message = reject({ backup: broken });
+  assert.match(message, /instructors: missing columns วัน/);
+  assert.match(message, /evaluation: cells must be/);
+
+  assert.equal(app.spreadsheet.rowsOf('evaluation').length, 2);
+  assert.equal(restore(app, { backup: snapshot, apiKey: VIEWER_KEY }).code, 'FORBIDDEN');
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, submitEvaluation, EDITOR_KEY, VIEWER_KEY } = require('./apps-script-fakes');
+
+function submit(app, studentId, comment) {
+  return submitEvaluation(app, { studentId: studentId, comment: comment }).submissionId;
+}
+
+function moderate(app, body) {
+  return app.post(Object.assign({ action: 'moderateComments', apiKey: EDITOR_KEY }, body));
+}
+
+function recentComments(app) {
+  return app.get({ action: 'getEvaluationSummary', apiKey: VIEWER_KEY }).data.recentComments.map(item => item.comment);
+}
+
+test('flags profanity and personal data without tripping on ordinary Thai words', () => {
+  const { script } = loadScript();
+
+  const flagged = script.analyzeComment('สอนแย่มาก แม่ง ติดต่อ นายสมศักดิ์ 081-234-5678 หรือ a.b@example.com');
+  assert.deepEqual(Array.from(flagged.flags), ['profanity', 'email', 'phone', 'name']);
+  assert.equal(flagged.redacted, 'สอนแย่มาก *** ติดต่อ [ชื่อ] [เบอร์โทร] หรือ [อีเมล]');
+
+  // สัดส่วน, ห่าง and กู้ contain profane substrings but are ordinary words
+  assert.deepEqual(Array.from(script.analyzeComment('สัดส่วนเนื้อหาดี ไม่ห่างเกินไป สอนกู้ข้อมูลด้วย').flags), []);
+});
+
+test('masks a title and the name after it, not words that contain a title', () => {
+  const { script } = loadScript();
+  const redact = text => script.analyzeComment(text).redacted;
+
+  assert.equal(redact('ขอบคุณ น.ส.สมหญิง และ Mr. Smith ที่ช่วยสอน'), 'ขอบคุณ [ชื่อ] และ [ชื่อ] ที่ช่วยสอน');
+  assert.equal(redact('(นายสมชาย) สอนดี'), '([ชื่อ]) สอนดี');
+  assert.equal(redact('Ms Brown explained well'), '[ชื่อ] explained well');
+
+  ['some slides were missing', 'I miss class when it rains', 'ทนายความมาบรรยาย'].forEach(text => {
+    assert.deepEqual(Array.from(script.analyzeComment(text).flags), [], text);
+    assert.equal(redact(text), text);
+  });
+
+  // Weekly summary emails anonymize comments with the same patterns
+  assert.equal(script.anonymizeComment('some slides were missing'), 'some slides were missing');
+  assert.equal(script.anonymizeComment('ทนายความมาบรรยาย นายสมชาย'), 'ทนายความมาบรรยาย [ชื่อ]');
+});
+
+test('tags sentiment from the lexicon, with negation', () => {
+  const { script } = loadScript();
+  const sentiment = text => script.analyzeComment(text).sentiment;
+
+  assert.equal(sentiment('อาจารย์สอนดีมาก เข้าใจง่าย'), 'positive');
+  assert.equal(sentiment('ไม่ชอบ เนื้อหาน่าเบื่อ'), 'negative');
+  assert.equal(sentiment('ไม่ดีเท่าที่ควร'), 'negative');
+  assert.equal(sentiment('ไม่น่าเบื่อ'), 'positive');
+  assert.equal(sentiment('อยากให้มีตัวอย่างเพิ่ม'), 'neutral');
+});
+
+test('comments stay out of reports until they are approved or redacted', () => {
+  const app = loadScript();
+  const clean = submit(app, 'S1', 'สอนดีมาก');
+  const personal = submit(app, 'S2', 'โทรหาผม 0812345678 ได้');
+  const rude = submit(app, 'S3', 'มึงสอนไม่รู้เรื่อง');
+
+  assert.deepEqual(recentComments(app), []);
+
+  assert.equal(moderate(app, { submissionId: clean, status: 'approved' }).status, 'success');
+  assert.equal(moderate(app, { submissionId: personal, status: 'redacted' }).status, 'success');
+  assert.equal(moderate(app, { submissionId: rude, status: 'hidden' }).status, 'success');
+  assert.deepEqual(recentComments(app), ['โทรหาผม [เบอร์โทร] ได้', 'สอนดีมาก']);
+
+  // An admin can write the redacted text themselves
+  moderate(app, { submissionId: rude, status: 'redacted', text: 'สอนไม่รู้เรื่อง' });
+  assert.equal(recentComments(app)[0], 'สอนไม่รู้เรื่อง');
+  assert.equal(app.get({ action: 'getEvaluationSummary', apiKey: VIEWER_KEY }).data.recentComments[2].sentiment, 'positive');
+});
+
+test('the queue lists unredacted comments for editors only', () => {
+  const app = loadScript();
+  const id = submit(app, 'S1', 'มึงสอนไม่รู้เรื่อง');
+  submit(app, 'S2', '');
+
+  assert.equal(app.get({ action: 'getModerationQueue', apiKey: VIEWER_KEY }).code, 'FORBIDDEN');
+
+  const queue = app.get({ action: 'getModerationQueue', apiKey: EDITOR_KEY });
+  assert.equal(queue.data.length, 1);
+  assert.equal(queue.data[0].comment, 'มึงสอนไม่รู้เรื่อง');
+  assert.equal(queue.data[0].suggestedRedaction, '***สอนไม่รู้เรื่อง');
+  assert.deepEqual(queue.data[0].flags, ['profanity']);
+  assert.deepEqual(queue.counts, { pending: 1, approved: 0, redacted: 0, hidden: 0 });
+
+  moderate(app, { submissionIds: [id], status: 'hidden' });
+  assert.equal(app.get({ action: 'getModerationQueue', apiKey: EDITOR_KEY }).data.length, 0);
+  assert.equal(app.get({ action: 'getModerationQueue', apiKey: EDITOR_KEY, status: 'hidden' }).data.length, 1);
+
+  assert.equal(moderate(app, { submissionId: 'nope', status: 'approved' }).code, 'NOT_FOUND');
+  assert.match(moderate(app, { submissionId: id, status: 'deleted' }).message, /Invalid status/);
+});
+
+test('exports show free text as moderated', () => {
+  const app = loadScript();
+  submit(app, 'S1', 'สอนดี');
+  const redacted = submit(app, 'S2', 'อีเมล a@b.co');
+  moderate(app, { submissionId: redacted, status: 'redacted' });
+
+  const table = app.get({ action: 'exportEvaluations', apiKey: VIEWER_KEY, format: 'json' }).data;
+  const column = table.headers.indexOf('ข้อเสนอแนะ');
+  assert.deepEqual(table.rows.map(row => row[column]), ['', 'อีเมล [อีเมล]']);
+  assert.ok(!table.headers.includes('ความคิดเห็นที่ปิดบัง'));
+});
+
+test('the migration screens comments recorded before moderation', () => {
+  const app = loadScript({
+    sheets: {
+      meta: [['คีย์', 'ค่า'], ['schemaVersion', 8]],
+      evaluation: [
+        ['Timestamp', 'ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'ผู้สอน1', 'ผู้สอน2', 'หลักสูตร', 'ความชัดเจน', 'ข้อเสนอแนะ'],
+        ['01/06/2025 10:00:00', 'ลาดกระบัง', 1, 'เสาร์', 'เช้า', 'A', '', 'power-supply', 5, 'ชอบมาก'],
+        ['01/06/2025 10:05:00', 'ลาดกระบัง', 1, 'เสาร์', 'เช้า', 'A', '', 'power-supply', 4, '']
+      ]
+    }
+  });
+
+  app.script.runMigrations();
+  const [headers, withComment, withoutComment] = app.spreadsheet.rowsOf('evaluation');
+  const cell = (row, header) => row[headers.indexOf(header)];
+  assert.equal(cell(withComment, 'สถานะความคิดเห็น'), 'pending');
+  assert.equal(cell(withComment, 'ความรู้สึก'), 'positive');
+  assert.equal(cell(withoutComment, 'สถานะความคิดเห็น'), '');
+  assert.match(cell(withoutComment, 'SubmissionId'), /^[0-9a-f-]{36}$/);
+});
@@ -0,0 +1,209 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, EDITOR_KEY } = require('./apps-script-fakes');
+
+const HEADERS = ['ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'ผู้สอน1', 'ผู้สอน2', 'หลักสูตร'];
+
+function withInstructorsSheet(rows) {
+  const app = loadScript();
+  const sheet = app.spreadsheet.insertSheet('instructors');
+  [HEADERS].concat(rows).forEach(row => sheet.appendRow(row));
+  return app;
+}
+
+function addCourses(app) {
+  const sheet = app.spreadsheet.insertSheet('courses');
+  sheet.appendRow(['รหัสหลักสูตร', 'ชื่อหลักสูตร', 'เปิดใช้งาน']);
+  sheet.appendRow(['power-supply', 'Power Supply', true]);
+  sheet.appendRow(['other-course', 'Other', true]);
+}
+
+// The instructors map without the per-slot versions
+function stripVersions(instructorsMap) {
+  return JSON.parse(JSON.stringify(instructorsMap, (key, value) => (key === 'version' ? undefined : value)));
+}
+
+test('getInstructors creates the sample schedule on first use', () => {
+  const app = loadScript();
+  const response = app.get({ action: 'getInstructors' });
+
+  assert.equal(response.status, 'success');
+  assert.equal(response.course, 'power-supply');
+  assert.ok(response.recordCount > 0);
+  assert.equal(response.data['ลาดกระบัง']['1']['เสาร์']['เช้า'].instructor1, 'อาจารย์สมชาย');
+  assert.ok(app.spreadsheet.getSheetByName('instructors'));
+});
+
+test('getInstructors nests rows by center, week, day and period', () => {
+  const app = withInstructorsSheet([
+    ['ลาดกระบัง', 1, 'เสาร์', 'เช้า', 'A', 'B', 'power-supply'],
+    ['ลาดกระบัง', 1, 'เสาร์', 'บ่าย', 'C', '', 'power-supply'],
+    ['ระยอง', 2, 'อาทิตย์', 'เช้า', 'D', '', 'power-supply']
+  ]);
+  const response = app.get({ action: 'getInstructors' });
+
+  assert.equal(response.recordCount, 3);
+  assert.deepEqual(stripVersions(response.data), {
+    'ลาดกระบัง': {
+      '1': {
+        'เสาร์': {
+          'เช้า': { instructor1: 'A', instructor2: 'B', instructor1Id: '', instructor2Id: '', enrolled: null },
+          'บ่าย': { instructor1: 'C', instructor2: '', instructor1Id: '', instructor2Id: '', enrolled: null }
+        }
+      }
+    },
+    'ระยอง': {
+      '2': {
+        'อาทิตย์': {
+          'เช้า': { instructor1: 'D', instructor2: '', instructor1Id: '', instructor2Id: '', enrolled: null }
+        }
+      }
+    }
+  });
+  assert.match(response.data['ระยอง']['2']['อาทิตย์']['เช้า'].version, /^[0-9a-f]+$/);
+});
+
+test('getInstructors skips incomplete rows and filters by course', () => {
+  const app = withInstructorsSheet([
+    ['ลาดกระบัง', 1, 'เสาร์', 'เช้า', 'A', '', ''],
+    ['ลาดกระบัง', '', 'เสาร์', 'บ่าย', 'B', '', 'power-supply'],
+    ['', '', '', '', '', '', ''],
+    ['ระยอง', 1, 'เสาร์', 'เช้า', 'C', '', 'other-course']
+  ]);
+  addCourses(app);
+
+  // Rows without a course belong to the default course
+  const defaultCourse = app.get({ action: 'getInstructors' });
+  assert.equal(defaultCourse.recordCount, 1);
+  assert.deepEqual(Object.keys(defaultCourse.data), ['ลาดกระบัง']);
+
+  const otherCourse = app.get({ action: 'getInstructors', course: 'other-course' });
+  assert.equal(otherCourse.recordCount, 1);
+  assert.equal(otherCourse.data['ระยอง']['1']['เสาร์']['เช้า'].instructor1, 'C');
+
+  assert.equal(app.get({ action: 'getInstructors', course: 'missing' }).status, 'error');
+});
+
+test('updateInstructors round-trips through getInstructors', () => {
+  const app = loadScript();
+  const instructorsMap = {
+    'บางพลัด': {
+      '3': {
+        'เสาร์': {
+          'เช้า': { instructor1: 'อาจารย์ก', instructor2: 'อาจารย์ข' },
+          'บ่าย': { instructor1: 'อาจารย์ค', instructor2: '' }
+        },
+        'อาทิตย์': {
+          'เช้า': { instructor1: 'อาจารย์ง', instructor2: '' }
+        }
+      }
+    }
+  };
+
+  const { version } = app.get({ action: 'getInstructors' });
+  const update = app.post({ action: 'updateInstructors', apiKey: EDITOR_KEY, instructorsMap: instructorsMap, version: version });
+  assert.equal(update.status, 'success');
+  assert.equal(update.rowsUpdated, 3);
+
+  const response = app.get({ action: 'getInstructors' });
+  assert.equal(response.recordCount, 3);
+  const roundTripped = stripVersions(response.data);
+  Object.values(roundTripped['บางพลัด']['3']).forEach(periods => Object.values(periods).forEach(slot => {
+    delete slot.instructor1Id;
+    delete slot.instructor2Id;
+    delete slot.enrolled;
+  }));
+  assert.deepEqual(roundTripped, instructorsMap);
+});
+
+test('updateInstructors only replaces the requested course', () => {
+  const app = withInstructorsSheet([
+    ['ลาดกระบัง', 1, 'เสาร์', 'เช้า', 'A', '', 'power-supply'],
+    ['ระยอง', 1, 'เสาร์', 'เช้า', 'C', '', 'other-course']
+  ]);
+  addCourses(app);
+
+  const update = app.post({
+    action: 'updateInstructors',
+    apiKey: EDITOR_KEY,
+    version: app.get({ action: 'getInstructors' }).version,
+    instructorsMap: { 'ศรีราชา': { '2': { 'อาทิตย์': { 'บ่าย': { instructor1: 'E', instructor2: '' } } } } }
+  });
+  assert.equal(update.status, 'success');
+
+  assert.deepEqual(Object.keys(app.get({ action: 'getInstructors' }).data), ['ศรีราชา']);
+  assert.equal(app.get({ action: 'getInstructors', course: 'other-course' }).data['ระยอง']['1']['เสาร์']['เช้า'].instructor1, 'C');
+});
+
+test('updateInstructors rejects a stale schedule version', () => {
+  const app = loadScript();
+  const { version } = app.get({ action: 'getInstructors' });
+  const instructorsMap = { 'ลาดกระบัง': { '1': { 'เสาร์': { 'เช้า': { instructor1: 'A', instructor2: '' } } } } };
+
+  const first = app.post({ action: 'updateInstructors', apiKey: EDITOR_KEY, instructorsMap: instructorsMap, version: version });
+  assert.equal(first.status, 'success');
+
+  const stale = app.post({ action: 'updateInstructors', apiKey: EDITOR_KEY, instructorsMap: instructorsMap, version: version });
+  assert.equal(stale.code, 'CONFLICT');
+});
+
+test('updateInstructors rejects a replacement without a version', () => {
+  const app = loadScript();
+  const slotCount = app.get({ action: 'getInstructors' }).recordCount;
+  const instructorsMap = { 'ลาดกระบัง': { '1': { 'เสาร์': { 'เช้า': { instructor1: 'A', instructor2: '' } } } } };
+
+  const response = app.post({ action: 'updateInstructors', apiKey: EDITOR_KEY, instructorsMap: instructorsMap });
+  assert.equal(response.code, 'CONFLICT');
+  assert.match(response.message, /Missing schedule version/);
+  assert.equal(app.get({ action: 'getInstructors' }).recordCount, slotCount);
+});
+
+test('importSchedule replaces the schedule only with the current version', () => {
+  const app = loadScript();
+  const { version, recordCount } = app.get({ action: 'getInstructors' });
+  const importSchedule = body => app.post(Object.assign({
+    action: 'importSchedule', apiKey: EDITOR_KEY, mode: 'replace',
+    slots: [{ center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'A' }]
+  }, body));
+
+  const missing = importSchedule({});
+  assert.equal(missing.code, 'CONFLICT');
+  assert.match(missing.message, /Missing schedule version/);
+  assert.equal(app.get({ action: 'getInstructors' }).recordCount, recordCount);
+
+  assert.equal(importSchedule({ version: version }).status, 'success');
+  assert.equal(app.get({ action: 'getInstructors' }).recordCount, 1);
+  assert.equal(importSchedule({ version: version }).code, 'CONFLICT');
+
+  // Merge only touches the slots in the file, so it needs no version
+  assert.equal(importSchedule({ mode: 'merge' }).status, 'success');
+});
+
+test('updateInstructors rejects a missing map', () => {
+  const app = loadScript();
+  const response = app.post({ action: 'updateInstructors', apiKey: EDITOR_KEY, version: 'any' });
+
+  assert.equal(response.status, 'error');
+  assert.match(response.message, /Invalid instructorsMap/);
+});
+
+test('enrolled counts are kept by schedule writes that leave them out', () => {
+  const app = loadScript();
+  const slot = { center: 'บางพลัด', week: '3', day: 'เสาร์', period: 'เช้า' };
+
+  const created = app.post(Object.assign({ action: 'upsertSlot', apiKey: EDITOR_KEY, instructor1: 'A', enrolled: '24' }, slot));
+  assert.equal(created.slot.enrolled, 24);
+  assert.match(app.post(Object.assign({ action: 'upsertSlot', apiKey: EDITOR_KEY, instructor1: 'A', enrolled: -1 }, slot)).message, /Invalid enrolled count/);
+
+  // Renaming the instructor, then replacing the whole map, keeps the count
+  app.post(Object.assign({ action: 'upsertSlot', apiKey: EDITOR_KEY, instructor1: 'B', version: created.version }, slot));
+  app.post({ action: 'updateInstructors', apiKey: EDITOR_KEY, version: app.get({ action: 'getInstructors' }).version,
+    instructorsMap: { 'บางพลัด': { '3': { 'เสาร์': { 'เช้า': { instructor1: 'C' } } } } } });
+  const kept = app.get({ action: 'getInstructors' }).data['บางพลัด']['3']['เสาร์']['เช้า'];
+  assert.equal(kept.instructor1, 'C');
+  assert.equal(kept.enrolled, 24);
+
+  // A blank count clears it
+  app.post(Object.assign({ action: 'upsertSlot', apiKey: EDITOR_KEY, instructor1: 'C', enrolled: '', version: kept.version }, slot));
+  assert.equal(app.get({ action: 'getInstructors' }).data['บางพลัด']['3']['เสาร์']['เช้า'].enrolled, null);
+});
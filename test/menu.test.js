@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./apps-script-fakes');
+
+test('the evaluations menu export writes a CSV file to Drive', () => {
+  const app = loadScript();
+  app.post({
+    action: 'submitEvaluation', studentId: 'S001',
+    center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'อาจารย์สมชาย',
+    clarity: 5, preparation: 5, interaction: 5, punctuality: 5, satisfaction: 5
+  });
+
+  app.script.exportEvaluations();
+
+  assert.equal(app.files.length, 1);
+  assert.match(app.files[0].name, /^evaluation_export_\d{8}_\d{6}\.csv$/);
+  assert.match(app.files[0].content, /อาจารย์สมชาย/);
+  assert.equal(app.alerts[0].title, 'ส่งออกข้อมูลสำเร็จ');
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer, buildFaults } = require('../mock-server/server');
+const { EDITOR_KEY } = require('./apps-script-fakes');
+
+const NO_FAULTS = buildFaults({ latency: '0', failRate: 0, failMode: 'error', failActions: '' }, {});
+
+// The data folder is nested so a file written next to it is caught too
+async function startServer(t, faults) {
+  const parentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-server-'));
+  const dataDir = path.join(parentDir, 'data');
+  const server = createServer({ dataDir, faults: faults || NO_FAULTS, log: () => {} });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(parentDir, { recursive: true, force: true });
+  });
+  return { dataDir, api: `http://localhost:${server.address().port}/exec` };
+}
+
+function post(api, body) {
+  return fetch(api, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('serves GET and text/plain POST actions with the script envelope', async t => {
+  const { api } = await startServer(t);
+
+  const health = await (await fetch(`${api}?action=health`)).json();
+  assert.equal(health.status, 'success');
+  assert.ok(health.timestamp);
+
+  const response = await post(api, { action: 'getInstructors' });
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  const instructors = await response.json();
+  assert.equal(instructors.status, 'success');
+  assert.ok(instructors.data['ลาดกระบัง']);
+
+  const unknown = await (await post(api, { action: 'nope' })).json();
+  assert.equal(unknown.status, 'error');
+});
+
+test('keeps sheets in JSON files between requests', async t => {
+  const { api, dataDir } = await startServer(t);
+  const submission = {
+    action: 'submitEvaluation', studentId: 'S001',
+    center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'อาจารย์สมชาย',
+    clarity: 5, preparation: 5, interaction: 5, punctuality: 5, satisfaction: 5
+  };
+
+  assert.equal((await (await post(api, submission)).json()).status, 'success');
+  const rows = JSON.parse(fs.readFileSync(path.join(dataDir, 'evaluation.json'), 'utf8'));
+  assert.equal(rows.length, 2);
+  assert.equal(rows[1][1], 'ลาดกระบัง');
+
+  // The duplicate check sees the row written by the previous request
+  assert.equal((await (await post(api, submission)).json()).code, 'DUPLICATE');
+});
+
+test('sheet names cannot write outside the data folder', async t => {
+  const { api, dataDir } = await startServer(t);
+  const backup = (await (await fetch(`${api}?action=backup&apiKey=${EDITOR_KEY}`)).json()).backup;
+  const before = fs.readdirSync(dataDir).sort();
+
+  backup.sheets['../escaped'] = [['x'], ['1']];
+  const response = await post(api, { action: 'restore', apiKey: EDITOR_KEY, backup: backup });
+  assert.equal(response.status, 500);
+  assert.match((await response.json()).message, /Invalid sheet name/);
+
+  assert.deepEqual(fs.readdirSync(path.dirname(dataDir)), ['data']);
+  assert.deepEqual(fs.readdirSync(dataDir).sort(), before);
+});
+
+test('injects error envelopes and HTTP failures for the targeted actions only', async t => {
+  const { api } = await startServer(t, buildFaults({ failRate: 1, failMode: 'error', failActions: 'getCourses' }, NO_FAULTS));
+
+  const failed = await (await fetch(`${api}?action=getCourses`)).json();
+  assert.equal(failed.status, 'error');
+  assert.equal(failed.code, 'MOCK_FAILURE');
+  assert.equal((await (await fetch(`${api}?action=getForm`)).json()).status, 'success');
+
+  const config = await (await post(api.replace('/exec', '/__mock/config'), { failMode: 'http', failActions: '' })).json();
+  assert.equal(config.failMode, 'http');
+  assert.equal((await fetch(`${api}?action=getForm`)).status, 503);
+});
+
+test('dropped connections reject the fetch', async t => {
+  const { api } = await startServer(t, buildFaults({ failRate: 1, failMode: 'drop' }, NO_FAULTS));
+
+  await assert.rejects(fetch(`${api}?action=health`));
+});
+
+test('rejects invalid runtime config', async t => {
+  const { api } = await startServer(t);
+  const response = await post(api.replace('/exec', '/__mock/config'), { latency: 'slow' });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).message, /Invalid latency/);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, submitEvaluation, VIEWER_KEY } = require('./apps-script-fakes');
+
+const HEADERS = ['ศูนย์', 'สัปดาห์', 'วัน', 'ช่วงเวลา', 'ผู้สอน1', 'ผู้สอน2', 'หลักสูตร', 'รหัสผู้สอน1', 'รหัสผู้สอน2', 'จำนวนผู้เรียน'];
+
+function withSchedule(rows) {
+  const app = loadScript();
+  const sheet = app.spreadsheet.insertSheet('instructors');
+  [HEADERS].concat(rows).forEach(row => sheet.appendRow(row));
+  return app;
+}
+
+// Single-instructor slots
+function submit(app, studentId, slot) {
+  submitEvaluation(app, Object.assign({ studentId: studentId, instructor2: '' }, slot));
+}
+
+function rates(app, params) {
+  return app.get(Object.assign({ action: 'getResponseRates', apiKey: VIEWER_KEY }, params));
+}
+
+test('compares evaluation rows with the enrolled count of each slot', () => {
+  const app = withSchedule([
+    ['ลาดกระบัง', 1, 'เสาร์', 'เช้า', 'A', '', 'power-supply', '', '', 4],
+    ['ลาดกระบัง', 1, 'เสาร์', 'บ่าย', 'B', '', 'power-supply', '', '', 2],
+    ['ระยอง', 1, 'เสาร์', 'เช้า', 'C', '', 'power-supply', '', '', '']
+  ]);
+  const morning = { center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'A' };
+  submit(app, 'S1', morning);
+  submit(app, 'S1', { center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'บ่าย', instructor1: 'B' });
+  submit(app, 'S2', { center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'บ่าย', instructor1: 'B' });
+  submit(app, 'S1', { center: 'ระยอง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'C' });
+  submit(app, 'S1', { center: 'ศรีราชา', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'D' });
+
+  const response = rates(app);
+  assert.equal(response.status, 'success');
+  assert.equal(response.target, 0.7);
+  assert.deepEqual(response.data.slots.map(slot => [slot.center, slot.period, slot.enrolled, slot.responses, slot.rate, slot.needsReminder]), [
+    ['ลาดกระบัง', 'เช้า', 4, 1, 0.25, true],
+    ['ลาดกระบัง', 'บ่าย', 2, 2, 1, false],
+    ['ระยอง', 'เช้า', null, 1, null, false]
+  ]);
+
+  // Slots without a count stay out of the totals; responses to unscheduled slots are reported apart
+  assert.deepEqual(response.data.overall, {
+    slots: 3, slotsWithEnrollment: 2, enrolled: 6, responses: 3, rate: 0.5, needsReminder: 1, unscheduledResponses: 1
+  });
+});
+
+test('filters by center and week and accepts a custom target', () => {
+  const app = withSchedule([
+    ['ลาดกระบัง', 1, 'เสาร์', 'เช้า', 'A', '', 'power-supply', '', '', 2],
+    ['ลาดกระบัง', 2, 'เสาร์', 'เช้า', 'A', '', 'power-supply', '', '', 2],
+    ['ระยอง', 1, 'เสาร์', 'เช้า', 'C', '', 'power-supply', '', '', 2]
+  ]);
+  submit(app, 'S1', { center: 'ลาดกระบัง', week: '2', day: 'เสาร์', period: 'เช้า', instructor1: 'A' });
+
+  const response = rates(app, { center: 'ลาดกระบัง', weekFrom: '2', target: '0.5' });
+  assert.deepEqual(response.data.slots.map(slot => [slot.week, slot.rate, slot.needsReminder]), [['2', 0.5, false]]);
+
+  assert.match(rates(app, { target: '70' }).message, /Invalid target/);
+  assert.equal(rates(app, { course: 'missing' }).status, 'error');
+});
+
+test('needs a viewer credential', () => {
+  const app = loadScript();
+
+  assert.equal(app.get({ action: 'getResponseRates' }).code, 'AUTH_REQUIRED');
+  assert.equal(app.post({ action: 'getResponseRates', apiKey: VIEWER_KEY }).status, 'success');
+});
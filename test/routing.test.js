@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { loadScript, EDITOR_KEY, VIEWER_KEY } = require('./apps-script-fakes');
+
+function rawPost(app, contents) {
+  return JSON.parse(app.script.doPost({ postData: { contents: contents } }).getContent());
+}
+
+test('doGet without parameters lists the available actions', () => {
+  const app = loadScript();
+  const response = JSON.parse(app.script.doGet().getContent());
+
+  assert.equal(response.status, 'success');
+  assert.ok(response.availableActions.includes('getInstructors'));
+  assert.ok(response.availableActions.includes('getForm'));
+});
+
+test('health reports the spreadsheet and schema version over GET and POST', () => {
+  const app = loadScript();
+  const fromGet = app.get({ action: 'health' });
+  const fromPost = app.post({ action: 'health' });
+
+  for (const response of [fromGet, fromPost]) {
+    assert.equal(response.status, 'success');
+    assert.equal(response.spreadsheetId, 'fake-spreadsheet-id');
+    assert.ok(Number.isInteger(response.schemaVersion));
+  }
+});
+
+test('GET and POST route read actions to the same handlers', () => {
+  const app = loadScript();
+
+  for (const action of ['getInstructors', 'getCourses', 'getForm', 'getReference']) {
+    const fromGet = app.get({ action: action });
+    const fromPost = app.post({ action: action });
+    assert.equal(fromGet.status, 'success', action);
+    assert.deepEqual(fromPost.data, fromGet.data, action);
+  }
+});
+
+test('an unknown GET action falls back to the default response', () => {
+  const app = loadScript();
+  const response = app.get({ action: 'doesNotExist' });
+
+  assert.equal(response.status, 'success');
+  assert.equal(response.message, 'GET request received successfully');
+});
+
+test('doPost answers empty bodies as a preflight', () => {
+  const app = loadScript();
+
+  assert.equal(JSON.parse(app.script.doPost({}).getContent()).status, 'preflight-ok');
+  assert.equal(JSON.parse(app.script.doPost({ postData: { contents: '' } }).getContent()).status, 'preflight-ok');
+});
+
+test('doPost rejects invalid JSON, a missing action and unknown actions', () => {
+  const app = loadScript();
+
+  const invalid = rawPost(app, '{not json');
+  assert.equal(invalid.status, 'error');
+  assert.match(invalid.message, /Invalid JSON format/);
+
+  const missing = rawPost(app, JSON.stringify({ center: 'ลาดกระบัง' }));
+  assert.match(missing.message, /Missing required field: action/);
+
+  const unknown = app.post({ action: 'dropTables' });
+  assert.match(unknown.message, /Unknown action: dropTables/);
+});
+
+test('admin actions need a credential with a sufficient role', () => {
+  const app = loadScript();
+
+  assert.equal(app.post({ action: 'updateInstructors', instructorsMap: {} }).code, 'AUTH_REQUIRED');
+  assert.equal(app.get({ action: 'getInstructorReport' }).code, 'AUTH_REQUIRED');
+  assert.equal(app.post({ action: 'getInstructorReport', apiKey: 'wrong' }).code, 'AUTH_REQUIRED');
+
+  // Viewers can read reports but not change the schedule
+  assert.equal(app.get({ action: 'getInstructorReport', apiKey: VIEWER_KEY }).status, 'success');
+  assert.equal(app.post({ action: 'updateInstructors', instructorsMap: {}, apiKey: VIEWER_KEY }).code, 'FORBIDDEN');
+  const { version } = app.get({ action: 'getInstructors' });
+  assert.equal(app.post({ action: 'updateInstructors', instructorsMap: {}, apiKey: EDITOR_KEY, version: version }).status, 'success');
+});
+
+test('login issues a session token accepted in place of an API key', () => {
+  const app = loadScript();
+  app.script.setAdminUser('coordinator', 'secret-password', 'viewer');
+
+  assert.equal(app.post({ action: 'login', username: 'coordinator', password: 'wrong' }).code, 'INVALID_CREDENTIALS');
+
+  const login = app.post({ action: 'login', username: 'coordinator', password: 'secret-password' });
+  assert.equal(login.status, 'success');
+
+  assert.equal(app.get({ action: 'getEvaluationSummary', sessionToken: login.sessionToken }).status, 'success');
+  assert.equal(app.post({ action: 'deleteSlot', sessionToken: login.sessionToken }).code, 'FORBIDDEN');
+});
+
+test('passwords are stored with a per-user salt and keyed hash', () => {
+  const app = loadScript();
+  app.script.setAdminUser('first', 'same-password', 'viewer');
+  app.script.setAdminUser('second', 'same-password', 'viewer');
+
+  const users = JSON.parse(app.properties.ADMIN_USERS);
+  assert.ok(users.first.salt);
+  assert.notEqual(users.first.salt, users.second.salt);
+  assert.notEqual(users.first.passwordHash, users.second.passwordHash);
+  assert.ok(app.properties.PASSWORD_SECRET);
+  assert.equal(app.post({ action: 'login', username: 'second', password: 'same-password' }).status, 'success');
+});
+
+test('a login saved before salting still works and is re-saved salted', () => {
+  const legacyHash = crypto.createHash('sha256').update('coordinator:secret-password').digest('hex');
+  const app = loadScript({
+    properties: { ADMIN_USERS: JSON.stringify({ coordinator: { passwordHash: legacyHash, role: 'editor' } }) }
+  });
+
+  assert.equal(app.post({ action: 'login', username: 'coordinator', password: 'wrong' }).code, 'INVALID_CREDENTIALS');
+  assert.equal(app.post({ action: 'login', username: 'coordinator', password: 'secret-password' }).status, 'success');
+
+  const { coordinator } = JSON.parse(app.properties.ADMIN_USERS);
+  assert.ok(coordinator.salt);
+  assert.notEqual(coordinator.passwordHash, legacyHash);
+  assert.equal(app.post({ action: 'login', username: 'coordinator', password: 'secret-password' }).status, 'success');
+});
+
+test('repeated failed logins lock the username out for a while', () => {
+  const app = loadScript();
+  app.script.setAdminUser('coordinator', 'secret-password', 'editor');
+  const login = (username, password) => app.post({ action: 'login', username: username, password: password });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(login('coordinator', 'guess-' + i).code, 'INVALID_CREDENTIALS');
+  }
+  const locked = login('coordinator', 'secret-password');
+  assert.equal(locked.code, 'TOO_MANY_ATTEMPTS');
+  assert.match(locked.message, /15 minutes/);
+
+  // Other usernames are counted separately, and the count expires
+  assert.equal(login('nobody', 'guess').code, 'INVALID_CREDENTIALS');
+  app.cache.forEach(entry => { entry.expiresAt = Date.now(); });
+  assert.equal(login('coordinator', 'secret-password').status, 'success');
+});
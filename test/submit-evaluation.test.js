@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, EDITOR_KEY, VIEWER_KEY, SLOT, RATINGS } = require('./apps-script-fakes');
+
+// Unlike submitEvaluation, returns rejected submissions too
+function submit(app, overrides) {
+  return app.post(Object.assign({ action: 'submitEvaluation', studentId: 'S001' }, SLOT, RATINGS, overrides));
+}
+
+function evaluationRows(app) {
+  const rows = app.spreadsheet.rowsOf('evaluation') || [];
+  const headers = rows[0] || [];
+  return rows.slice(1).map(row => Object.fromEntries(headers.map((header, index) => [header, row[index]])));
+}
+
+test('a valid submission is appended with the slot, course and answers', () => {
+  const app = loadScript();
+  const response = submit(app, { comment: 'ดีมาก' });
+
+  assert.equal(response.status, 'success');
+  assert.equal(response.rowNumber, 2);
+  assert.equal(response.submittedData.course, 'power-supply');
+
+  const [row] = evaluationRows(app);
+  assert.equal(row['ศูนย์'], 'ลาดกระบัง');
+  assert.equal(row['ผู้สอน2'], 'อาจารย์สมหญิง');
+  assert.equal(row['หลักสูตร'], 'power-supply');
+  assert.equal(row['ความชัดเจน'], 5);
+  assert.equal(row['ข้อเสนอแนะ'], 'ดีมาก');
+  assert.equal(row.SubmissionId, response.submissionId);
+});
+
+test('slot fields and at least one instructor are required', () => {
+  const app = loadScript();
+
+  for (const field of ['center', 'week', 'day', 'period']) {
+    const response = submit(app, { [field]: '' });
+    assert.equal(response.status, 'error');
+    assert.match(response.message, new RegExp(`Missing required field: ${field}`));
+  }
+
+  const noInstructor = submit(app, { instructor1: '', instructor2: '' });
+  assert.match(noInstructor.message, /At least one instructor must be specified/);
+  assert.deepEqual(evaluationRows(app), []);
+});
+
+test('a token or student ID is required', () => {
+  const app = loadScript();
+  const response = submit(app, { studentId: '' });
+
+  assert.equal(response.code, 'MISSING_IDENTITY');
+});
+
+test('answers are validated against the questionnaire', () => {
+  const app = loadScript();
+
+  assert.match(submit(app, { clarity: 6 }).message, /Invalid rating for clarity: must be 1-5/);
+  assert.match(submit(app, { clarity: 'ดี' }).message, /Invalid rating for clarity/);
+  assert.match(submit(app, { satisfaction: '' }).message, /Missing answer for satisfaction/);
+  assert.match(submit(app, { course: 'no-such-course' }).message, /no-such-course/);
+  assert.deepEqual(evaluationRows(app), []);
+});
+
+test('the same student cannot evaluate a slot twice', () => {
+  const app = loadScript();
+
+  assert.equal(submit(app).status, 'success');
+  assert.equal(submit(app).code, 'DUPLICATE');
+  assert.equal(submit(app, { studentId: ' s001 ' }).code, 'DUPLICATE');
+  assert.equal(submit(app, { period: 'บ่าย', instructor1: 'อาจารย์สมศักดิ์', instructor2: '' }).status, 'success');
+  assert.equal(evaluationRows(app).length, 2);
+});
+
+test('a replayed idempotency key is acknowledged without a second row', () => {
+  const app = loadScript();
+  const first = submit(app, { idempotencyKey: 'queue-1' });
+  const replay = submit(app, { idempotencyKey: 'queue-1' });
+
+  assert.equal(replay.status, 'success');
+  assert.equal(replay.alreadyRecorded, true);
+  assert.equal(replay.rowNumber, first.rowNumber);
+  assert.equal(evaluationRows(app).length, 1);
+});
+
+test('a dry run validates without writing', () => {
+  const app = loadScript();
+  const response = submit(app, { dryRun: true });
+
+  assert.equal(response.status, 'success');
+  assert.equal(response.dryRun, true);
+  assert.deepEqual(evaluationRows(app), []);
+  assert.equal(submit(app).status, 'success');
+});
+
+test('instructor IDs sent with a submission are ignored', () => {
+  const app = loadScript();
+  const register = name => app.post({ action: 'saveRegistryInstructor', apiKey: EDITOR_KEY, name: name }).data.id;
+  const somchai = register('อาจารย์สมชาย');
+  const other = register('อาจารย์คนอื่น');
+
+  assert.equal(submit(app, { instructor1Id: other, instructor2Id: other }).status, 'success');
+
+  const [row] = evaluationRows(app);
+  assert.equal(row['รหัสผู้สอน1'], somchai);
+  assert.equal(row['รหัสผู้สอน2'], '');
+});
+
+test('co-taught slots can be rated per instructor', () => {
+  const app = loadScript();
+  const response = submit(app, {
+    clarity: '', preparation: '', interaction: '', punctuality: '', satisfaction: '',
+    instructorRatings: {
+      instructor1: RATINGS,
+      instructor2: { clarity: 1, preparation: 2, interaction: 2, punctuality: 2, satisfaction: 2 }
+    }
+  });
+  assert.equal(response.status, 'success');
+
+  // The ratings live only in one row per instructor; the slot-level scale cells stay blank
+  assert.equal(evaluationRows(app)[0]['ความชัดเจน'], '');
+  const ratingRows = app.spreadsheet.rowsOf('instructorRatings').slice(1);
+  assert.deepEqual(ratingRows.map(row => [row[0], row[2], row[4]]), [
+    [response.submissionId, 'อาจารย์สมชาย', 5],
+    [response.submissionId, 'อาจารย์สมหญิง', 1]
+  ]);
+
+  const missingBlock = submit(app, { studentId: 'S002', instructorRatings: { instructor1: RATINGS } });
+  assert.match(missingBlock.message, /Missing instructorRatings.instructor2/);
+});
+
+test('the summary counts each instructor\'s rating of a co-taught submission', () => {
+  const app = loadScript();
+  submit(app, {
+    instructorRatings: {
+      instructor1: RATINGS,
+      instructor2: { clarity: 2, preparation: 2, interaction: 2, punctuality: 2, satisfaction: 2 }
+    }
+  });
+
+  const { overall } = app.get({ action: 'getEvaluationSummary', apiKey: VIEWER_KEY }).data;
+  assert.equal(overall.responses, 1);
+  assert.deepEqual(overall.criteria.clarity.distribution, { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 });
+  assert.equal(overall.criteria.clarity.mean, 3.5);
+  assert.equal(overall.criteria.preparation.count, 2);
+
+  const report = app.get({ action: 'getInstructorReport', apiKey: VIEWER_KEY }).data;
+  assert.equal(report['อาจารย์สมชาย'].criteria.clarity.mean, 5);
+  assert.equal(report['อาจารย์สมหญิง'].criteria.clarity.mean, 2);
+});
@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, submitEvaluation, EDITOR_KEY, VIEWER_KEY } = require('./apps-script-fakes');
+
+function submit(app, studentId, score) {
+  submitEvaluation(app, { studentId: studentId, clarity: score, preparation: score, interaction: score, punctuality: score, satisfaction: score });
+}
+
+function closeTerm(app, body) {
+  return app.post(Object.assign({ action: 'closeTerm', apiKey: EDITOR_KEY }, body));
+}
+
+test('closing a term moves evaluations and the schedule into archive sheets', () => {
+  const app = loadScript();
+  submit(app, 'S001', 4);
+  submit(app, 'S002', 2);
+  const slotCount = app.get({ action: 'getInstructors' }).recordCount;
+
+  const closed = closeTerm(app, { term: '2025-1', name: 'ภาคเรียนที่ 1/2568' });
+  assert.equal(closed.status, 'success', closed.message);
+  assert.equal(closed.counts.evaluation, 2);
+  assert.equal(closed.counts.instructors, slotCount);
+
+  assert.equal(app.spreadsheet.rowsOf('evaluation').length, 1);
+  assert.equal(app.spreadsheet.rowsOf('evaluation_2025-1').length, 3);
+  assert.equal(app.spreadsheet.rowsOf('instructorRatings_2025-1').length, 5);
+  assert.equal(app.get({ action: 'getInstructors' }).recordCount, 0);
+
+  const [term] = app.get({ action: 'getTerms', apiKey: VIEWER_KEY }).data;
+  assert.equal(term.name, 'ภาคเรียนที่ 1/2568');
+  assert.equal(term.status, 'archived');
+  assert.equal(term.closedBy, 'api-key');
+
+  assert.equal(closeTerm(app, { term: '2025-1' }).code, 'DUPLICATE');
+  assert.match(closeTerm(app, { term: '2025/1' }).message, /Invalid term/);
+  assert.equal(closeTerm(app, { term: '2025-2', apiKey: VIEWER_KEY }).code, 'FORBIDDEN');
+});
+
+test('a close that fails part-way leaves the live sheets and no archives behind', () => {
+  const app = loadScript();
+  submit(app, 'S001', 4);
+  const slotCount = app.get({ action: 'getInstructors' }).recordCount;
+  const archives = () => app.spreadsheet.getSheets().map(sheet => sheet.getName()).filter(name => name.endsWith('_2025-1'));
+
+  // The schedule is archived last, after the evaluation sheets
+  const insertSheet = app.spreadsheet.insertSheet;
+  app.spreadsheet.insertSheet = function (name) {
+    if (name === 'instructors_2025-1') throw new Error('Service Spreadsheets failed');
+    return insertSheet.call(this, name);
+  };
+  const failed = closeTerm(app, { term: '2025-1' });
+  assert.equal(failed.status, 'error');
+  assert.match(failed.message, /Service Spreadsheets failed/);
+
+  assert.deepEqual(archives(), []);
+  assert.equal(app.spreadsheet.rowsOf('evaluation').length, 2);
+  assert.equal(app.get({ action: 'getInstructors' }).recordCount, slotCount);
+  assert.deepEqual(app.get({ action: 'getTerms', apiKey: VIEWER_KEY }).data, []);
+
+  app.spreadsheet.insertSheet = insertSheet;
+  const retried = closeTerm(app, { term: '2025-1' });
+  assert.equal(retried.status, 'success', retried.message);
+  assert.equal(retried.counts.evaluation, 1);
+  assert.equal(app.spreadsheet.rowsOf('evaluation').length, 1);
+});
+
+test('reports and exports read an archived term and compare it with the current one', () => {
+  const app = loadScript();
+  app.get({ action: 'getInstructors' });
+  submit(app, 'S001', 3);
+  closeTerm(app, { term: '2025-1', keepSchedule: true });
+  submit(app, 'S001', 5);
+
+  const archived = app.get({ action: 'getEvaluationSummary', apiKey: VIEWER_KEY, term: '2025-1' });
+  assert.equal(archived.data.overall.overallMean, 3);
+  assert.equal(archived.filters.term, '2025-1');
+
+  const current = app.get({ action: 'getEvaluationSummary', apiKey: VIEWER_KEY, compareTerm: '2025-1' });
+  assert.equal(current.data.overall.overallMean, 5);
+  assert.equal(current.data.comparison.term, '2025-1');
+  assert.equal(current.data.comparison.change.overallMean, 2);
+  assert.equal(current.data.comparison.byCenter['ลาดกระบัง'].overallMean, 3);
+
+  const report = app.get({ action: 'getInstructorReport', apiKey: VIEWER_KEY, term: '2025-1' });
+  assert.equal(report.data['อาจารย์สมหญิง'].overallMean, 3);
+  const exported = app.get({ action: 'exportEvaluations', apiKey: VIEWER_KEY, format: 'json', term: '2025-1' });
+  assert.equal(exported.recordCount, 1);
+  const rates = app.get({ action: 'getResponseRates', apiKey: VIEWER_KEY, term: '2025-1' });
+  const rated = rates.data.slots.find(slot => slot.center === 'ลาดกระบัง' && slot.week === '1' && slot.day === 'เสาร์' && slot.period === 'เช้า');
+  assert.equal(rated.responses, 1);
+
+  assert.equal(app.get({ action: 'getEvaluationSummary', apiKey: VIEWER_KEY, term: '2024-1' }).status, 'error');
+});
+
+test('restoring a term brings the rows back and removes the archive', () => {
+  const app = loadScript();
+  submit(app, 'S001', 4);
+  const slotCount = app.get({ action: 'getInstructors' }).recordCount;
+  closeTerm(app, { term: '2025-1' });
+  submit(app, 'S002', 2);
+
+  const restored = app.post({ action: 'restoreTerm', apiKey: EDITOR_KEY, term: '2025-1' });
+  assert.equal(restored.status, 'success', restored.message);
+  assert.equal(restored.counts.evaluation, 1);
+
+  assert.equal(app.get({ action: 'getEvaluationSummary', apiKey: VIEWER_KEY }).recordCount, 2);
+  assert.equal(app.get({ action: 'getInstructors' }).recordCount, slotCount);
+  assert.equal(app.spreadsheet.getSheetByName('evaluation_2025-1'), null);
+  assert.equal(app.get({ action: 'getTerms', apiKey: VIEWER_KEY }).data[0].status, 'restored');
+  assert.equal(app.post({ action: 'restoreTerm', apiKey: EDITOR_KEY, term: '2025-1' }).code, 'NOT_FOUND');
+
+  // A restored term can be closed again under the same ID
+  assert.equal(closeTerm(app, { term: '2025-1' }).status, 'success');
+  assert.equal(app.get({ action: 'getTerms', apiKey: VIEWER_KEY }).recordCount, 1);
+});
+
+test('a kept schedule is not duplicated on restore, but a changed slot is a conflict', () => {
+  const app = loadScript();
+  const slotCount = app.get({ action: 'getInstructors' }).recordCount;
+  closeTerm(app, { term: '2025-1', keepSchedule: true });
+
+  const { version } = app.get({ action: 'getInstructors' }).data['ลาดกระบัง']['1']['เสาร์']['เช้า'];
+  app.post({ action: 'upsertSlot', apiKey: EDITOR_KEY, center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'อาจารย์ใหม่', version: version });
+
+  const conflict = app.post({ action: 'restoreTerm', apiKey: EDITOR_KEY, term: '2025-1' });
+  assert.equal(conflict.code, 'CONFLICT');
+  assert.match(conflict.message, /ลาดกระบัง สัปดาห์ 1 เสาร์ เช้า/);
+
+  app.post({ action: 'upsertSlot', apiKey: EDITOR_KEY, center: 'ลาดกระบัง', week: '1', day: 'เสาร์', period: 'เช้า', instructor1: 'อาจารย์สมชาย', instructor2: 'อาจารย์สมหญิง',
+    version: app.get({ action: 'getInstructors' }).data['ลาดกระบัง']['1']['เสาร์']['เช้า'].version });
+  assert.equal(app.post({ action: 'restoreTerm', apiKey: EDITOR_KEY, term: '2025-1' }).status, 'success');
+  assert.equal(app.get({ action: 'getInstructors' }).recordCount, slotCount);
+});
+
+test('clearing evaluations archives them instead of deleting them', () => {
+  const app = loadScript();
+  submit(app, 'S001', 4);
+
+  app.script.clearAllEvaluations();
+
+  assert.equal(app.spreadsheet.rowsOf('evaluation').length, 1);
+  const [term] = app.get({ action: 'getTerms', apiKey: VIEWER_KEY }).data;
+  assert.match(term.id, /^cleared-\d{8}-\d{6}$/);
+  assert.equal(app.spreadsheet.rowsOf(`evaluation_${term.id}`).length, 2);
+  assert.ok(app.get({ action: 'getInstructors' }).recordCount > 0);
+});